@@ -349,6 +349,50 @@ const uploadMedia = multer({
   },
 });
 
+// ============================================
+// PRIVATE FILES (Data export archives)
+// ============================================
+// Stored as private raw files: they can only be fetched through a signed,
+// expiring download URL.
+
+const uploadPrivateFile = (buffer, { folder, publicId }) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        public_id: publicId,
+        resource_type: 'raw',
+        type: 'private',
+        overwrite: true,
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    stream.end(buffer);
+  });
+};
+
+const getPrivateDownloadUrl = (publicId, { expiresInSeconds = 300 } = {}) => {
+  return cloudinary.utils.private_download_url(publicId, '', {
+    resource_type: 'raw',
+    type: 'private',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+};
+
+const deletePrivateFile = async (publicId) => {
+  try {
+    return await cloudinary.uploader.destroy(publicId, {
+      resource_type: 'raw',
+      type: 'private',
+      invalidate: true,
+    });
+  } catch (error) {
+    console.error('❌ Cloudinary Delete Error:', error.message);
+    throw error;
+  }
+};
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -362,4 +406,7 @@ module.exports = {
   uploadMediaWithAudio,
   deleteFile,
   deleteMultipleFiles,
+  uploadPrivateFile,
+  getPrivateDownloadUrl,
+  deletePrivateFile,
 };
\ No newline at end of file
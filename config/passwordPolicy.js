@@ -0,0 +1,33 @@
+// ============================================
+// PASSWORD POLICY
+// ============================================
+// Applied by utils/passwordPolicy.js whenever a password is set (register,
+// invite registration, password change and reset). Each rule can be
+// tuned with an environment variable.
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFlag = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+module.exports = {
+  minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+  maxLength: envInt('PASSWORD_MAX_LENGTH', 128),
+
+  // Character classes
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+
+  // Reject the last N passwords (0 turns the check off)
+  historyCount: envInt('PASSWORD_HISTORY_COUNT', 5),
+
+  // Reject passwords from the bundled common/breached list
+  checkBreached: envFlag('PASSWORD_CHECK_BREACHED', true),
+};
@@ -0,0 +1,78 @@
+// ============================================
+// PERMISSION MATRIX
+// ============================================
+// Capabilities are "<area>.<action>" strings. Roles map to capability sets;
+// check them with user.hasPermission(cap) or requirePermission(cap).
+
+const CAPABILITIES = [
+  // Posts
+  'posts.create',
+  'posts.edit',
+  'posts.delete',
+  'posts.schedule',
+  'posts.tag_media',
+
+  // Comments (post, media and story comments)
+  'comments.view_all',
+  'comments.moderate', // delete anyone's comment
+  'comments.pin',
+
+  // Stories
+  'stories.create',
+  'stories.highlight',
+  'stories.delete',
+
+  // Content managed by the platform owner
+  'achievements.manage',
+  'tournaments.manage',
+  'profiles.feature_posts',
+  'trending.manage',
+  'feed.manage', // "for you" ranking weights
+
+  // Gamification
+  'points.award',
+
+  // Users and messaging
+  'users.list',
+  'users.invite', // invite admins/moderators
+  'users.impersonate', // read-only "view as user"
+
+  // Analytics (post/story/profile/comment stats, platform stats)
+  'analytics.view',
+  'analytics.refresh',
+
+  // Account security (login locks)
+  'security.manage',
+
+  // Audit log of admin/moderator actions
+  'audit.view',
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+
+  // Volunteers who keep the comment sections clean
+  moderator: [
+    'comments.view_all',
+    'comments.moderate',
+    'comments.pin',
+  ],
+
+  admin: CAPABILITIES,
+};
+
+// Capabilities granted to a role (unknown roles get none)
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+const roleHasPermission = (role, capability) => {
+  return getRolePermissions(role).includes(capability);
+};
+
+module.exports = {
+  CAPABILITIES,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  roleHasPermission,
+};
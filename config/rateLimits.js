@@ -0,0 +1,89 @@
+// ============================================
+// RATE LIMIT POLICIES
+// ============================================
+// Named per-route policies used by middleware/rateLimiter.js.
+// Requests are counted per user when authenticated, per IP otherwise.
+
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  // Auth endpoints get a bucket per group, so signing up or resetting a
+  // password doesn't use up the attempts left for logging in
+
+  // Login and the 2FA step
+  login: {
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: 'Too many login attempts, please try again later',
+  },
+
+  // Register, first admin, invites
+  register: {
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: 'Too many registration attempts, please try again later',
+  },
+
+  // Forgot / reset password
+  passwordReset: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    message: 'Too many password reset attempts, please try again later',
+  },
+
+  // Unlock and "this wasn't me" links from security emails
+  accountRecovery: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    message: 'Too many attempts, please try again later',
+  },
+
+  // Personal data export requests (each one builds a full archive)
+  dataExport: {
+    windowMs: 60 * MINUTE,
+    max: 5,
+    message: 'Too many export requests, please try again later',
+  },
+
+  // Sending messages
+  messaging: {
+    windowMs: 1 * MINUTE,
+    max: 60, // 1 per second on average
+    message: 'Too many requests, please slow down',
+  },
+
+  // Conversation list (polled by clients)
+  conversations: {
+    windowMs: 1 * MINUTE,
+    max: 30,
+    message: 'Too many requests to conversations endpoint',
+  },
+
+  // Profile, message and hashtag search
+  search: {
+    windowMs: 1 * MINUTE,
+    max: 20,
+    message: 'Too many search requests',
+  },
+
+  // Anything that uploads to Cloudinary
+  uploads: {
+    windowMs: 15 * MINUTE,
+    max: 30,
+    message: 'Too many uploads, please try again later',
+  },
+
+  // Likes and reactions
+  reactions: {
+    windowMs: 1 * MINUTE,
+    max: 120,
+    message: 'Too many reactions, please slow down',
+  },
+
+  // Post views / impressions (sent by clients as posts scroll by)
+  views: {
+    windowMs: 1 * MINUTE,
+    max: 120,
+    message: 'Too many view events, please slow down',
+  },
+};
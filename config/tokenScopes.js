@@ -0,0 +1,78 @@
+// ============================================
+// PERSONAL ACCESS TOKEN SCOPES
+// ============================================
+// Scopes are "<area>:read" or "<area>:write". The area is the API section a
+// request goes to (/api/<area>/...). Comment routes are mounted on /api, so
+// /api/comments/... and /api/posts/:postId/comments are the "comments" area.
+// GET/HEAD requests need :read, everything else needs :write, and :write
+// also grants :read.
+//
+// Scopes only narrow what a token can do - the token's owner still needs the
+// role permissions for a route (see config/permissions.js).
+
+const AREAS = [
+  'auth',
+  'profiles',
+  'posts',
+  'comments',
+  'bookmarks',
+  'points',
+  'settings',
+  'events',
+  'messages',
+  'tournaments',
+  'notifications',
+  'stories',
+  'achievements',
+  'gallery',
+  'contact',
+  'trending',
+  'platform-stats',
+  'admin',
+];
+
+// Account and security management is never writable with a token
+const READ_ONLY_AREAS = ['auth', 'settings'];
+
+const SCOPES = AREAS.flatMap((area) =>
+  READ_ONLY_AREAS.includes(area) ? [`${area}:read`] : [`${area}:read`, `${area}:write`]
+);
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Area for a request path, e.g. /api/posts/123/comments -> comments but
+// /api/posts/123/media/0/comments -> posts (a post route)
+const getRequestArea = (path) => {
+  const segments = path.split('?')[0].split('/').filter(Boolean);
+  if (segments[0] !== 'api') return null;
+  if (segments[1] === 'posts' && segments[3] === 'comments' && segments.length === 4) return 'comments';
+  return segments[1] || null;
+};
+
+// Scope a request needs, or null if tokens can't reach it at all
+const getRequiredScope = (method, path) => {
+  const area = getRequestArea(path);
+  if (!area || !AREAS.includes(area)) return null;
+
+  const access = READ_METHODS.includes(method) ? 'read' : 'write';
+  const scope = `${area}:${access}`;
+
+  return SCOPES.includes(scope) ? scope : null;
+};
+
+const scopesAllow = (scopes, requiredScope) => {
+  if (!requiredScope) return false;
+  if (scopes.includes(requiredScope)) return true;
+
+  // :write implies :read
+  const [area, access] = requiredScope.split(':');
+  return access === 'read' && scopes.includes(`${area}:write`);
+};
+
+module.exports = {
+  AREAS,
+  SCOPES,
+  getRequestArea,
+  getRequiredScope,
+  scopesAllow,
+};
@@ -1,5 +1,6 @@
 const Achievement = require('../models/Achievement');
 const { deleteFile } = require('../config/cloudinary');
+const auditService = require('../services/auditService');
 
 // @desc    Create new achievement (Admin only)
 // @route   POST /api/achievements
@@ -47,6 +48,8 @@ exports.createAchievement = async (req, res, next) => {
       isMajor: isMajor === 'true',
     });
 
+    auditService.setAuditTarget(req, achievement._id);
+
     res.status(201).json({
       success: true,
       message: 'Achievement created successfully',
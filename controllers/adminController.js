@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FeedConfig = require('../models/FeedConfig');
+const bruteForceService = require('../services/bruteForceService');
+const inviteService = require('../services/inviteService');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+
+// @desc    Get login locks (locked accounts / IPs)
+// @route   GET /api/admin/locks?type=account|ip&status=locked|all
+// @access  Private/Admin
+exports.getLoginLocks = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { type, status } = req.query;
+
+    const { locks, total } = await bruteForceService.getLocks({
+      type: ['account', 'ip', 'two_factor'].includes(type) ? type : undefined,
+      status: status === 'all' ? 'all' : 'locked',
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: locks.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      locks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear a login lock (and its failure count)
+// @route   DELETE /api/admin/locks/:id
+// @access  Private/Admin
+exports.clearLoginLock = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock not found',
+      });
+    }
+
+    const cleared = await bruteForceService.clearLock(req.params.id);
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lock cleared successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite someone to join as admin or moderator
+// @route   POST /api/admin/invites
+// @access  Private/Admin
+exports.createInvite = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email',
+      });
+    }
+
+    if (!['admin', 'moderator'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin or moderator',
+      });
+    }
+
+    const invite = await inviteService.createInvite({
+      email,
+      role,
+      invitedBy: req.user,
+    });
+
+    auditService.setAuditTarget(req, invite._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invite.email}`,
+      invite,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invites (pending by default)
+// @route   GET /api/admin/invites?status=pending|accepted|revoked|expired|all
+// @access  Private/Admin
+exports.getInvites = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const statuses = ['pending', 'accepted', 'revoked', 'expired', 'all'];
+    const status = statuses.includes(req.query.status) ? req.query.status : 'pending';
+
+    const { invites, total } = await inviteService.getInvites({ status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      invites,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invite
+// @route   DELETE /api/admin/invites/:id
+// @access  Private/Admin
+exports.revokeInvite = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invite not found',
+      });
+    }
+
+    const invite = await inviteService.revokeInvite(req.params.id, req.user);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invite not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked successfully',
+      invite,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start a read-only "view as user" session
+// @route   POST /api/admin/impersonations
+// @access  Private/Admin
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const { userId, reason } = req.body;
+
+    // Tied to the admin's own login session, so tokens can't start one
+    if (!req.sessionId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation must be started from a logged-in session.',
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason',
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Only fans can be viewed as - never other staff (or yourself)
+    if (user.role !== 'user' || user._id.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only regular user accounts can be impersonated.',
+      });
+    }
+
+    const { impersonation, token } = await impersonationService.startImpersonation(
+      req.user,
+      user,
+      req.sessionId,
+      reason.trim()
+    );
+
+    auditService.setAuditTarget(req, impersonation._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${user.username} (read-only) until ${impersonation.expiresAt.toISOString()}`,
+      token,
+      impersonation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get impersonation sessions (active by default)
+// @route   GET /api/admin/impersonations?status=active|all
+// @access  Private/Admin
+exports.getImpersonations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { impersonations, total } = await impersonationService.getImpersonations({
+      status: req.query.status === 'all' ? 'all' : 'active',
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      impersonations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End an impersonation session early
+// @route   DELETE /api/admin/impersonations/:id
+// @access  Private/Admin
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active impersonation not found',
+      });
+    }
+
+    const impersonation = await impersonationService.endImpersonation(req.params.id, req.user._id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active impersonation not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+      impersonation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+// Audit filters shared by the list and the CSV export
+const getAuditFilters = (query) => {
+  const fields = ['actor', 'action', 'capability', 'targetType', 'targetId', 'from', 'to'];
+  const filters = {};
+  for (const field of fields) {
+    if (typeof query[field] === 'string' && query[field]) {
+      filters[field] = query[field];
+    }
+  }
+  return filters;
+};
+
+// @desc    Get audit log entries (newest first)
+// @route   GET /api/admin/audit?actor=&action=&capability=&targetType=&targetId=&from=&to=
+// @access  Private/Admin
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { logs, total } = await auditService.getAuditLogs(getAuditFilters(req.query), { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      logs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export audit log entries as CSV (same filters as the list)
+// @route   GET /api/admin/audit/export
+// @access  Private/Admin
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    const csv = await auditService.exportCsv(getAuditFilters(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the "for you" feed ranking config
+// @route   GET /api/admin/feed-config
+// @access  Private/Admin
+exports.getFeedConfig = async (req, res, next) => {
+  try {
+    const config = await FeedConfig.getConfig();
+
+    res.status(200).json({
+      success: true,
+      config,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update the "for you" feed ranking config
+// @route   PUT /api/admin/feed-config
+// @access  Private/Admin
+exports.updateFeedConfig = async (req, res, next) => {
+  try {
+    const { weights = {}, recencyHalfLifeHours, candidateWindowDays } = req.body || {};
+
+    if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weights must be an object',
+      });
+    }
+
+    const config = await FeedConfig.getConfig();
+
+    for (const name of ['recency', 'engagement', 'hashtagAffinity', 'tournamentAffinity', 'seenPenalty']) {
+      if (weights[name] !== undefined) {
+        config.weights[name] = weights[name];
+      }
+    }
+    if (recencyHalfLifeHours !== undefined) {
+      config.recencyHalfLifeHours = recencyHalfLifeHours;
+    }
+    if (candidateWindowDays !== undefined) {
+      config.candidateWindowDays = candidateWindowDays;
+    }
+    config.updatedBy = req.user._id;
+
+    await config.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Feed ranking updated successfully',
+      config,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,39 @@
 const User = require('../models/User');
-const { sendTokenResponse } = require('../utils/tokenGenerator');
+const Settings = require('../models/Settings');
+const LoginHistory = require('../models/LoginHistory');
+const {
+  generateToken,
+  generateChallengeToken,
+  sendTokens,
+  sendTokenResponse,
+  clearTokenCookies,
+} = require('../utils/tokenGenerator');
+const sessionService = require('../services/sessionService');
+const loginService = require('../services/loginService');
+const bruteForceService = require('../services/bruteForceService');
+const accountDeletionService = require('../services/accountDeletionService');
+const accessTokenService = require('../services/accessTokenService');
+const inviteService = require('../services/inviteService');
+const mailService = require('../services/mailService');
+const { assertPasswordAllowed, getPolicyRules } = require('../utils/passwordPolicy');
+const { disconnectRevokedSockets } = require('../middleware/socketAuth');
 const crypto = require('crypto');
 
+const VERIFICATION_RESEND_COOLDOWN = 2 * 60 * 1000; // 2 minutes
+
+// Issue a fresh verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+  await mailService.sendTemplate('verification', user.email, {
+    firstName: user.firstName,
+    verifyUrl,
+  });
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -18,6 +50,9 @@ exports.register = async (req, res, next) => {
       });
     }
 
+    // Enforce the password policy (throws PasswordPolicyError)
+    await assertPasswordAllowed(password);
+
     // Create user with welcome badge and points
     const user = await User.create({
       firstName,
@@ -39,8 +74,22 @@ exports.register = async (req, res, next) => {
       ],
     });
 
+    // Send verification email (don't block registration if email fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('❌ Failed to send verification email:', emailError.message);
+    }
+
     // Send token response
-    sendTokenResponse(user, 201, res);
+    const session = await sendTokenResponse(user, 201, res);
+
+    // The registering device becomes the first known device (no alert)
+    try {
+      await loginService.recordLoginEvent(user, req, session.sessionId, { alert: false });
+    } catch (historyError) {
+      console.error('❌ Failed to record login event:', historyError.message);
+    }
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({
@@ -52,6 +101,81 @@ exports.register = async (req, res, next) => {
   }
 };
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const verificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      verificationToken,
+      verificationTokenExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link',
+      });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    // Throttle resends
+    const lastSent = user.verificationEmailSentAt ? user.verificationEmailSentAt.getTime() : 0;
+    const retryAfter = Math.ceil((lastSent + VERIFICATION_RESEND_COOLDOWN - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -67,18 +191,26 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Check for user (include password)
-    const user = await User.findOne({ email }).select('+password');
+    // Refuse while the account or IP is locked / backing off
+    const attemptKeys = bruteForceService.getAttemptKeys(req, email);
+    const blocked = await bruteForceService.checkAttempts(attemptKeys);
+    if (blocked) {
+      return bruteForceService.sendBlocked(res, blocked);
+    }
+
+    // Check for user (include password and 2FA secret)
+    const user = await User.findOne({ email }).select('+password +twoFactor.secret');
 
     if (!user) {
+      await bruteForceService.recordFailure(attemptKeys);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Check if account is active
-    if (!user.isActive) {
+    // Check if account is active (deleted accounts can log back in during the grace period)
+    if (!user.isActive && !user.isPendingDeletion()) {
       return res.status(403).json({
         success: false,
         message: 'Your account has been deactivated. Please contact support.',
@@ -88,17 +220,39 @@ exports.login = async (req, res, next) => {
     // Verify password
     const isPasswordMatch = await user.comparePassword(password);
     if (!isPasswordMatch) {
+      await bruteForceService.recordFailure(attemptKeys, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Record login activity
-    await user.recordLogin();
+    await bruteForceService.clearAttempts(attemptKeys);
 
-    // Send token response
-    sendTokenResponse(user, 200, res);
+    // A login was reported as "this wasn't me" - the password must be reset first
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        passwordResetRequired: true,
+        message: 'For your security, please reset your password using the link we emailed you.',
+      });
+    }
+
+    // Two-factor enabled: return a short-lived challenge instead of a session.
+    // Only an enrolled secret counts - the old settings toggle set the flag
+    // without one (scripts/clearStaleTwoFactorFlags.js)
+    if (user.twoFactor?.secret) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, '2fa'),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
+
+    // Start a session (or hold the login for approval on untrusted devices)
+    user.twoFactor = undefined;
+    await loginService.completeLogin(user, req, res);
   } catch (error) {
     next(error);
   }
@@ -109,10 +263,11 @@ exports.login = async (req, res, next) => {
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true,
-    });
+    // Revoke this device's session so its refresh token stops working
+    await sessionService.revokeSession(req.user.id, req.sessionId);
+    await disconnectRevokedSockets(req.app.get('io'), req.user.id);
+
+    clearTokenCookies(res);
 
     res.status(200).json({
       success: true,
@@ -123,6 +278,51 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+// @desc    Exchange refresh token for a new access token (rotates refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token missing. Please login.',
+      });
+    }
+
+    const session = await sessionService.rotateSession(refreshToken, req);
+
+    if (!session) {
+      clearTokenCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again.',
+      });
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(session.userId, session.sessionId);
+      clearTokenCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated.',
+      });
+    }
+
+    const token = generateToken(user._id, session.sessionId);
+
+    sendTokens(res, 200, { token, ...session }, {
+      sessionId: session.sessionId,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -238,8 +438,8 @@ exports.updatePassword = async (req, res, next) => {
       });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password (and recent passwords for the reuse check)
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
@@ -250,12 +450,24 @@ exports.updatePassword = async (req, res, next) => {
       });
     }
 
+    // Enforce the password policy and reject recent passwords
+    await assertPasswordAllowed(newPassword, user);
+
     // Update password
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Send new token
-    sendTokenResponse(user, 200, res);
+    // Sign out every other device and every script. This device keeps its
+    // session - it already passed 2FA and device approval to get it.
+    await sessionService.revokeAllSessions(user._id, req.sessionId);
+    await disconnectRevokedSockets(req.app.get('io'), user._id);
+    await accessTokenService.revokeAllTokens(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. You have been signed out on all other devices.',
+    });
   } catch (error) {
     next(error);
   }
@@ -268,38 +480,50 @@ exports.forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
+    // Known and unknown emails get the same response, so the endpoint can't
+    // be used to probe accounts. Unknown emails also count towards the IP lockout.
+    const sendResetResponse = () => res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent',
+    });
+
+    const attemptKeys = bruteForceService.getAttemptKeys(req);
+    const blocked = await bruteForceService.checkAttempts(attemptKeys);
+    if (blocked) {
+      return bruteForceService.sendBlocked(res, blocked);
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No account found with that email',
-      });
+      await bruteForceService.recordFailure(attemptKeys);
+      return sendResetResponse();
     }
 
     // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-
-    // Hash and set to database
-    user.resetPasswordToken = crypto
-      .createHash('sha256')
-      .update(resetToken)
-      .digest('hex');
-    user.resetPasswordExpire = Date.now() + 30 * 60 * 1000; // 30 minutes
-
+    const resetToken = user.getResetPasswordToken();
     await user.save({ validateBeforeSave: false });
 
     // Create reset URL
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
-    // TODO: Send email with reset link
-    // await sendEmail({ to: user.email, subject: 'Password Reset', html: resetUrl });
+    try {
+      await mailService.sendTemplate('passwordReset', user.email, {
+        firstName: user.firstName,
+        resetUrl,
+        expiresInMinutes: 30,
+      });
+    } catch (emailError) {
+      console.error('❌ Failed to send password reset email:', emailError.message);
 
-    res.status(200).json({
-      success: true,
-      message: 'Password reset email sent',
-      resetToken, // Remove this in production
-      resetUrl,
-    });
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // An error here would tell callers the account exists
+      return sendResetResponse();
+    }
+
+    sendResetResponse();
   } catch (error) {
     next(error);
   }
@@ -312,6 +536,13 @@ exports.resetPassword = async (req, res, next) => {
   try {
     const { newPassword } = req.body;
 
+    // Guessing reset tokens counts towards the IP lockout
+    const attemptKeys = bruteForceService.getAttemptKeys(req);
+    const blocked = await bruteForceService.checkAttempts(attemptKeys);
+    if (blocked) {
+      return bruteForceService.sendBlocked(res, blocked);
+    }
+
     // Get hashed token
     const resetPasswordToken = crypto
       .createHash('sha256')
@@ -321,22 +552,133 @@ exports.resetPassword = async (req, res, next) => {
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() },
-    });
+    }).select('+password +passwordHistory');
 
     if (!user) {
+      await bruteForceService.recordFailure(attemptKeys);
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired reset token',
       });
     }
 
+    // Enforce the password policy and reject recent passwords
+    await assertPasswordAllowed(newPassword, user);
+
     // Set new password
     user.password = newPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every device and script that may have been using the old password
+    await sessionService.revokeAllSessions(user._id);
+    await disconnectRevokedSockets(req.app.get('io'), user._id);
+    await accessTokenService.revokeAllTokens(user._id);
+
+    // No session here: reading the inbox must not get past 2FA or device
+    // approval, so the client signs in again with the new password
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been reset. Please sign in with your new password.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/auth/unlock/:token
+// @access  Public (token from the lockout email)
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const attempt = await bruteForceService.unlockWithToken(req.params.token);
+
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a login as "this wasn't me"
+// @route   POST /api/auth/login-alerts/:token/report
+// @access  Public (token from the login alert email)
+exports.reportLogin = async (req, res, next) => {
+  try {
+    const reportTokenHash = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    // Claim the link so it can only be used once
+    const entry = await LoginHistory.findOneAndUpdate(
+      {
+        reportTokenHash,
+        reportTokenExpire: { $gt: new Date() },
+        reportedAt: null,
+      },
+      { $set: { reportedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link',
+      });
+    }
+
+    const user = await User.findById(entry.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link',
+      });
+    }
+
+    // The intruder may have started other sessions or refreshed into new
+    // ones, so sign out every device (like tokens below) and stop trusting
+    // the reported one
+    await sessionService.revokeAllSessions(user._id);
+    await disconnectRevokedSockets(req.app.get('io'), user._id);
+    await Settings.updateOne(
+      { user: user._id },
+      { $pull: { 'security.trustedDevices': { deviceId: entry.deviceId } } }
+    );
+
+    // Tokens could have been created from any of those sessions
+    await accessTokenService.revokeAllTokens(user._id);
+
+    // Block password logins until the password is changed
+    user.passwordResetRequired = true;
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await mailService.sendTemplate('passwordReset', user.email, {
+        firstName: user.firstName,
+        resetUrl: `${process.env.FRONTEND_URL}/reset-password/${resetToken}`,
+        expiresInMinutes: 30,
+      });
+    } catch (emailError) {
+      console.error('❌ Failed to send password reset email:', emailError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions have been signed out. Check your email to reset your password.',
+    });
   } catch (error) {
     next(error);
   }
@@ -360,26 +702,38 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Soft delete (deactivate account)
-    user.isActive = false;
-    await user.save();
+    // Deactivate now; everything is purged once the grace period ends
+    const purgeAt = await accountDeletionService.scheduleDeletion(user);
+
+    await sessionService.revokeAllSessions(user._id);
+    await disconnectRevokedSockets(req.app.get('io'), user._id);
+    clearTokenCookies(res);
 
     res.status(200).json({
       success: true,
-      message: 'Account deactivated successfully',
+      message: `Account deactivated. It will be permanently deleted on ${purgeAt.toDateString()} unless you log in before then.`,
+      deletionScheduledFor: purgeAt,
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Register admin user
+// @desc    Register the first admin user
 // @route   POST /api/auth/register-admin
-// @access  Public (Protected by secret key)
+// @access  Public (Protected by secret key, only until an admin exists)
 exports.registerAdmin = async (req, res, next) => {
   try {
     const { firstName, lastName, email, password, username, dateOfBirth, adminSecret } = req.body;
 
+    // The secret key only bootstraps the first admin - after that, admins invite
+    if (!(await inviteService.isSecretKeyRegistrationOpen())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin registration is invite-only. Ask an existing admin for an invitation.',
+      });
+    }
+
     // Verify admin secret key
     if (!adminSecret || adminSecret !== process.env.ADMIN_SECRET_KEY) {
       return res.status(403).json({
@@ -397,6 +751,9 @@ exports.registerAdmin = async (req, res, next) => {
       });
     }
 
+    // Enforce the password policy (throws PasswordPolicyError)
+    await assertPasswordAllowed(password);
+
     // Create admin user with welcome badge, admin badge, and points
     const user = await User.create({
       firstName,
@@ -426,7 +783,7 @@ exports.registerAdmin = async (req, res, next) => {
     });
 
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, res);
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({
@@ -436,4 +793,164 @@ exports.registerAdmin = async (req, res, next) => {
     }
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Look up an admin/moderator invite
+// @route   GET /api/auth/invites/:token
+// @access  Public (token from the invite email)
+exports.getInvite = async (req, res, next) => {
+  try {
+    const invite = await inviteService.findUsableInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    // Tells the frontend whether to show the sign-up or the login form
+    const accountExists = !!(await User.exists({ email: invite.email }));
+
+    res.status(200).json({
+      success: true,
+      invite: {
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+      accountExists,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Register a new account from an admin/moderator invite
+// @route   POST /api/auth/invites/:token/register
+// @access  Public (token from the invite email)
+exports.registerWithInvite = async (req, res, next) => {
+  try {
+    const { firstName, lastName, password, username, dateOfBirth } = req.body;
+
+    const invite = await inviteService.findUsableInvite(req.params.token);
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    // Existing accounts accept the invite after logging in
+    const existingUser = await User.findOne({ email: invite.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        accountExists: true,
+        message: 'This email already has an account. Please login to accept the invitation.',
+      });
+    }
+
+    // Enforce the password policy (throws PasswordPolicyError)
+    await assertPasswordAllowed(password);
+
+    const user = await User.create({
+      firstName,
+      lastName,
+      email: invite.email,
+      password,
+      username,
+      dateOfBirth,
+      stats: {
+        points: 50,
+      },
+      badges: [
+        {
+          name: 'Welcome to Nelly Korda Family',
+          icon: '🎉',
+          description: 'Joined the community',
+          earnedAt: new Date(),
+        },
+      ],
+    });
+
+    const accepted = await inviteService.acceptInvite(invite, user);
+    if (!accepted) {
+      // Used by someone else in the meantime - don't leave a half-made account
+      await User.deleteOne({ _id: user._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    const session = await sendTokenResponse(user, 201, res);
+
+    try {
+      await loginService.recordLoginEvent(user, req, session.sessionId, { alert: false });
+    } catch (historyError) {
+      console.error('❌ Failed to record login event:', historyError.message);
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already taken. Please choose another.',
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Accept an admin/moderator invite with the logged-in account
+// @route   POST /api/auth/invites/:token/accept
+// @access  Private
+exports.acceptInvite = async (req, res, next) => {
+  try {
+    const invite = await inviteService.findUsableInvite(req.params.token);
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    // Invites are tied to an email address
+    if (invite.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address.',
+      });
+    }
+
+    const accepted = await inviteService.acceptInvite(invite, req.user);
+    if (!accepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You are now a${accepted.role === 'admin' ? 'n admin' : ' moderator'}.`,
+      user: req.user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the password policy (for password fields on the client)
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      policy: getPolicyRules(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
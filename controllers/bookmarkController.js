@@ -0,0 +1,202 @@
+const Bookmark = require('../models/Bookmark');
+const Post = require('../models/Post');
+const pollService = require('../services/pollService');
+const { decodeCursor, paginateQuery, getPageCursors } = require('../utils/pagination');
+
+const MAX_COLLECTIONS = 50;
+
+// @desc    Save a post (or move a saved post to another collection)
+// @route   PUT /api/bookmarks/:postId  { collection }
+// @access  Private
+exports.saveBookmark = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.postId).select('status');
+
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    // Leaving collection out keeps a saved post where it is; null takes it
+    // out of its collection
+    const { collection } = req.body || {};
+    const hasCollection = collection !== undefined;
+
+    if (hasCollection && collection !== null && typeof collection !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name must be a string',
+      });
+    }
+
+    const collectionName = typeof collection === 'string' && collection.trim() ? collection.trim() : null;
+
+    if (collectionName) {
+      const exists = await Bookmark.exists({ user: req.user.id, collectionName });
+      if (!exists) {
+        const collections = await Bookmark.distinct('collectionName', { user: req.user.id, collectionName: { $ne: null } });
+        if (collections.length >= MAX_COLLECTIONS) {
+          return res.status(400).json({
+            success: false,
+            message: `You can have at most ${MAX_COLLECTIONS} collections`,
+          });
+        }
+      }
+    }
+
+    const update = hasCollection
+      ? { $set: { collectionName } }
+      : { $setOnInsert: { collectionName: null } };
+
+    const result = await Bookmark.findOneAndUpdate(
+      { user: req.user.id, post: post._id },
+      update,
+      { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+    );
+    const created = !result.lastErrorObject?.updatedExisting;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Post saved' : 'Saved post updated',
+      bookmark: result.value,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unsave a post
+// @route   DELETE /api/bookmarks/:postId
+// @access  Private
+exports.removeBookmark = async (req, res, next) => {
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({
+      user: req.user.id,
+      post: req.params.postId,
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post is not saved',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Post removed from saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get saved posts, newest first (optionally one collection)
+// @route   GET /api/bookmarks?collection=&cursor= (or ?page=)
+// @access  Private
+exports.getBookmarks = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const cursor = decodeCursor(req.query.cursor, Bookmark.SAVED_SORT);
+
+    const filter = { user: req.user.id };
+    if (typeof req.query.collection === 'string' && req.query.collection.trim()) {
+      filter.collectionName = req.query.collection.trim();
+    }
+
+    // Only bookmarks of published posts are listed and counted, so total
+    // matches the pages. Bookmarks left behind by a deleted post are
+    // cleaned up here; posts that were unpublished are only hidden.
+    const savedPostIds = await Bookmark.distinct('post', filter);
+    const savedPosts = await Post.find({ _id: { $in: savedPostIds } }).select('status').lean();
+    const existing = new Set(savedPosts.map((post) => post._id.toString()));
+
+    const orphaned = savedPostIds.filter((id) => !existing.has(id.toString()));
+    if (orphaned.length > 0) {
+      await Bookmark.deleteMany({ user: req.user.id, post: { $in: orphaned } });
+    }
+
+    filter.post = {
+      $in: savedPosts.filter((post) => post.status === 'published').map((post) => post._id),
+    };
+
+    const query = Bookmark.find(filter).populate({
+      path: 'post',
+      select: '-likes -views -comments',
+      populate: [
+        { path: 'author', select: 'firstName lastName avatar username role' },
+        { path: 'tournament', select: 'name location startDate' },
+      ],
+    });
+
+    let bookmarks;
+    let cursors;
+    if (cursor) {
+      const result = await paginateQuery(query, Bookmark.SAVED_SORT, { limit, cursor });
+      bookmarks = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      bookmarks = await query.sort(Bookmark.SAVED_SORT).skip(skip).limit(limit);
+    }
+
+    const total = await Bookmark.countDocuments(filter);
+
+    if (!cursor) {
+      cursors = getPageCursors(bookmarks, Bookmark.SAVED_SORT, { page, hasNext: skip + bookmarks.length < total });
+    }
+
+    // A post deleted since the lookup above drops out of the page
+    const saved = bookmarks
+      .filter((bookmark) => bookmark.post)
+      .map((bookmark) => ({
+        _id: bookmark._id,
+        collection: bookmark.collectionName,
+        savedAt: bookmark.createdAt,
+        post: { ...bookmark.post.toObject(), isSavedByMe: true },
+      }));
+
+    await pollService.attachPolls(saved.map((bookmark) => bookmark.post), req.user);
+
+    res.status(200).json({
+      success: true,
+      count: saved.length,
+      total,
+      // page/pages only apply to ?page= requests
+      ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      ...cursors,
+      bookmarks: saved,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the user's bookmark collections
+// @route   GET /api/bookmarks/collections
+// @access  Private
+exports.getCollections = async (req, res, next) => {
+  try {
+    const [collections, total, unsorted] = await Promise.all([
+      Bookmark.getCollections(req.user.id),
+      Bookmark.countDocuments({ user: req.user.id }),
+      Bookmark.countDocuments({ user: req.user.id, collectionName: null }),
+    ]);
+
+    // Cover image from each collection's latest saved post
+    await Post.populate(collections, { path: 'latestPost', model: Post, select: 'caption media type' });
+
+    res.status(200).json({
+      success: true,
+      total,
+      unsorted,
+      count: collections.length,
+      collections,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
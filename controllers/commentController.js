@@ -3,6 +3,11 @@ const { createNotification } = require('./notificationController');
 const { processCommentHashtags } = require('../utils/trendingUtils');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const auditService = require('../services/auditService');
+const { decodeCursor, paginateQuery } = require('../utils/pagination');
+
+// Newest first; _id breaks ties for cursors
+const COMMENT_SORT = { createdAt: -1, _id: -1 };
 
 // @desc    Create comment on a post
 // @route   POST /api/posts/:postId/comments
@@ -114,7 +119,7 @@ exports.createComment = async (req, res, next) => {
 };
 
 // @desc    Get comments for a post (INCLUDING ALL REPLIES)
-// @route   GET /api/posts/:postId/comments
+// @route   GET /api/posts/:postId/comments (?limit=&cursor= to page)
 // @access  Public
 exports.getPostComments = async (req, res, next) => {
   try {
@@ -129,8 +134,8 @@ exports.getPostComments = async (req, res, next) => {
       });
     }
 
-    // ADMIN RESTRICTION: Only admin can see comments
-    if (!req.user || !req.user.isAdmin) {
+    // ADMIN RESTRICTION: Only admins/moderators can see comments
+    if (!req.user || !req.user.hasPermission('comments.view_all')) {
       return res.status(403).json({
         success: false,
         message: 'Only admin can view comments',
@@ -145,10 +150,28 @@ exports.getPostComments = async (req, res, next) => {
       // Removed status filter - fetch all comments for this post
     };
 
-    let comments = await Comment.find(query)
-      .sort({ createdAt: -1 }) // Newest first
-      .populate('author', 'firstName lastName avatar username isAdmin role')
-      .lean();
+    // Everything at once unless the client pages with ?limit= / ?cursor=
+    const paged = req.query.cursor !== undefined || req.query.limit !== undefined;
+    let comments;
+    let cursors = {};
+
+    if (paged) {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const result = await paginateQuery(
+        Comment.find(query)
+          .populate('author', 'firstName lastName avatar username isAdmin role')
+          .lean(),
+        COMMENT_SORT,
+        { limit, cursor: decodeCursor(req.query.cursor, COMMENT_SORT) }
+      );
+      comments = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      comments = await Comment.find(query)
+        .sort(COMMENT_SORT) // Newest first
+        .populate('author', 'firstName lastName avatar username isAdmin role')
+        .lean();
+    }
 
     console.log(`Found ${comments.length} comments for post ${postId}`);
 
@@ -171,6 +194,7 @@ exports.getPostComments = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: comments.length,
+      ...cursors,
       comments,
     });
   } catch (error) {
@@ -298,10 +322,10 @@ exports.deleteComment = async (req, res, next) => {
       });
     }
 
-    // Check ownership
+    // Check ownership (moderators can remove any comment)
     if (
       comment.author.toString() !== req.user.id &&
-      !req.user.isAdmin
+      !req.user.hasPermission('comments.moderate')
     ) {
       return res.status(403).json({
         success: false,
@@ -332,6 +356,16 @@ exports.deleteComment = async (req, res, next) => {
 
     await comment.deleteOne();
 
+    if (comment.author.toString() !== req.user.id) {
+      auditService.recordAudit(req, {
+        action: 'deleteComment',
+        capability: 'comments.moderate',
+        targetType: 'Comment',
+        targetId: comment._id,
+        before: comment,
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Comment deleted successfully',
@@ -0,0 +1,65 @@
+const DataExport = require('../models/DataExport');
+const dataExportService = require('../services/dataExportService');
+
+// @desc    Start a personal data export
+// @route   POST /api/auth/export
+// @access  Private
+exports.requestExport = async (req, res, next) => {
+  try {
+    const { dataExport, alreadyRunning } = await dataExportService.requestExport(
+      req.user.id,
+      req.app.get('io')
+    );
+
+    res.status(202).json({
+      success: true,
+      message: alreadyRunning
+        ? 'Your data export is already being prepared. We will notify you when it is ready.'
+        : 'Your data export has started. We will notify you when it is ready.',
+      export: dataExport,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my data exports (most recent first)
+// @route   GET /api/auth/export
+// @access  Private
+exports.getExports = async (req, res, next) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      count: dataExports.length,
+      exports: dataExports,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a data export archive
+// @route   GET /api/auth/export/:id/download/:token
+// @access  Public (token from the notification/email link)
+exports.downloadExport = async (req, res, next) => {
+  try {
+    const downloadUrl = await dataExportService.getDownloadUrl(req.params.id, req.params.token);
+
+    if (!downloadUrl) {
+      return res.status(410).json({
+        success: false,
+        message: 'This download link is invalid or has expired. Please request a new export.',
+      });
+    }
+
+    // The archive lives privately on Cloudinary; the signed URL expires
+    // within minutes
+    res.redirect(302, downloadUrl);
+  } catch (error) {
+    next(error);
+  }
+};
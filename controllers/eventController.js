@@ -164,9 +164,11 @@ exports.getEvent = async (req, res, next) => {
       });
     }
 
-    // Increment views
-    event.viewsCount += 1;
-    await event.save();
+    // Increment views (an impersonating admin isn't a real view)
+    if (!req.impersonation) {
+      event.viewsCount += 1;
+      await event.save();
+    }
 
     res.status(200).json({
       success: true,
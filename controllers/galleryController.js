@@ -1,6 +1,7 @@
 const Post = require('../models/Post');
 const Profile = require('../models/Profile');
 const User = require('../models/User');
+const { decodeCursor, sortArray, paginateArray, getPageCursors } = require('../utils/pagination');
 
 // @desc    Get all gallery media (photos + videos) from posts and profile
 // @route   GET /api/gallery
@@ -9,6 +10,9 @@ exports.getAllGalleryMedia = async (req, res, next) => {
   try {
     const { type, sort, limit = 50, page = 1 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    // _id breaks ties for cursors
+    const mediaSort = sort === 'oldest' ? { createdAt: 1, _id: 1 } : { createdAt: -1, _id: -1 };
+    const cursor = decodeCursor(req.query.cursor, mediaSort);
 
     // Get current user or specified user
     const userId = req.params.userId || req.user.id;
@@ -81,24 +85,30 @@ exports.getAllGalleryMedia = async (req, res, next) => {
       allMedia = allMedia.filter(media => media.type === type);
     }
 
-    // Sort media
-    if (sort === 'oldest') {
-      allMedia.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    // Sort + paginate (newest first by default)
+    const total = allMedia.length;
+    let paginatedMedia;
+    let cursors;
+
+    if (cursor) {
+      const result = paginateArray(allMedia, mediaSort, { limit: parseInt(limit), cursor });
+      paginatedMedia = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
     } else {
-      // Default: newest first
-      allMedia.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      paginatedMedia = sortArray(allMedia, mediaSort).slice(skip, skip + parseInt(limit));
+      cursors = getPageCursors(paginatedMedia, mediaSort, {
+        page: parseInt(page),
+        hasNext: skip + paginatedMedia.length < total,
+      });
     }
 
-    // Pagination
-    const total = allMedia.length;
-    const paginatedMedia = allMedia.slice(skip, skip + parseInt(limit));
-
     res.status(200).json({
       success: true,
       count: paginatedMedia.length,
       total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
+      // page/pages only apply to ?page= requests
+      ...(cursor ? {} : { page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) }),
+      ...cursors,
       media: paginatedMedia,
       user: {
         _id: user._id,
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginApproval = require('../models/LoginApproval');
+const loginService = require('../services/loginService');
+const { verifyChallengeToken } = require('../utils/tokenGenerator');
+const { getDeviceId } = require('../utils/requestInfo');
+
+// Mark a pending request approved/denied and tell the user's other sessions
+const respondToApproval = async (req, filter, status) => {
+  const approval = await LoginApproval.findOneAndUpdate(
+    { ...filter, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status, respondedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!approval) return null;
+
+  if (status === 'approved') {
+    await loginService.trustDevice(approval.user, approval.device);
+  }
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(approval.user.toString()).emit('login:approval:resolved', {
+      requestId: approval._id,
+      status,
+    });
+  }
+
+  return approval;
+};
+
+// @desc    Get pending login approval requests
+// @route   GET /api/auth/login-approvals
+// @access  Private
+exports.getPendingApprovals = async (req, res, next) => {
+  try {
+    const approvals = await LoginApproval.find({
+      user: req.user.id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: approvals.length,
+      approvals,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a login from a new device
+// @route   POST /api/auth/login-approvals/:id/approve
+// @access  Private
+exports.approveLogin = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login request not found or expired',
+      });
+    }
+
+    const approval = await respondToApproval(
+      req,
+      { _id: req.params.id, user: req.user.id },
+      'approved'
+    );
+
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login request not found or expired',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Sign-in from ${approval.device.deviceName} approved. The device is now trusted.`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deny a login from a new device
+// @route   POST /api/auth/login-approvals/:id/deny
+// @access  Private
+exports.denyLogin = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login request not found or expired',
+      });
+    }
+
+    const approval = await respondToApproval(
+      req,
+      { _id: req.params.id, user: req.user.id },
+      'denied'
+    );
+
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login request not found or expired',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sign-in denied. Consider changing your password.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a login from the emailed link
+// @route   POST /api/auth/login-approvals/email/:token
+// @access  Public
+exports.approveLoginByEmail = async (req, res, next) => {
+  try {
+    const approval = await respondToApproval(
+      req,
+      { emailTokenHash: loginService.hashToken(req.params.token) },
+      'approved'
+    );
+
+    if (!approval) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired approval link',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sign-in approved. You can continue on your new device.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish a held login once it has been approved
+// @route   POST /api/auth/login-approvals/complete
+// @access  Public (requires approvalToken from /login)
+exports.completeApprovedLogin = async (req, res, next) => {
+  try {
+    const { approvalToken, requestId } = req.body;
+
+    const challenge = verifyChallengeToken(approvalToken, 'login_approval');
+    if (!challenge || !mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login request expired. Please login again.',
+      });
+    }
+
+    const approval = await LoginApproval.findOne({ _id: requestId, user: challenge.id });
+
+    if (!approval || approval.isExpired() || approval.status === 'completed') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login request expired. Please login again.',
+      });
+    }
+
+    if (approval.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        approvalRequired: true,
+        status: 'pending',
+        message: 'Waiting for approval',
+      });
+    }
+
+    if (approval.status === 'denied') {
+      return res.status(403).json({
+        success: false,
+        status: 'denied',
+        message: 'This sign-in was denied',
+      });
+    }
+
+    // Only the device that was held (and got its device cookie then) can
+    // finish the login
+    if (getDeviceId(req) !== approval.device.deviceId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This sign-in was approved for a different device',
+      });
+    }
+
+    // Claim the approval so the token can only be used once
+    const claimed = await LoginApproval.findOneAndUpdate(
+      { _id: approval._id, status: 'approved' },
+      { $set: { status: 'completed' } }
+    );
+
+    if (!claimed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login request expired. Please login again.',
+      });
+    }
+
+    const user = await User.findById(challenge.id);
+
+    if (!user || (!user.isActive && !user.isPendingDeletion())) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login request expired. Please login again.',
+      });
+    }
+
+    await loginService.startSession(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,7 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const { deleteFile } = require('../config/cloudinary');
 const { createNotification } = require('./notificationController');
+const { decodeCursor, getPageCursors } = require('../utils/pagination');
 
 // ============================================
 // SEND MESSAGE - FIXED VERSION
@@ -214,6 +215,7 @@ exports.getConversation = async (req, res, next) => {
     const { userId } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
+    const cursor = decodeCursor(req.query.cursor, Message.CONVERSATION_SORT);
 
     const user = await User.findById(userId);
     if (!user) {
@@ -231,7 +233,20 @@ exports.getConversation = async (req, res, next) => {
       });
     }
 
-    const messages = await Message.getConversation(req.user.id, userId, page, limit);
+    // Oldest first either way; nextCursor loads older messages
+    let messages;
+    let cursors;
+    if (cursor) {
+      const result = await Message.getConversationPage(req.user.id, userId, limit, cursor);
+      messages = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      messages = await Message.getConversation(req.user.id, userId, page, limit);
+      cursors = getPageCursors([...messages].reverse(), Message.CONVERSATION_SORT, {
+        page,
+        hasNext: messages.length === limit,
+      });
+    }
 
     // ✅ FIX: Filter out duplicate call records
     // For call messages, only show the one where current user is the sender
@@ -243,8 +258,8 @@ exports.getConversation = async (req, res, next) => {
       return true; // Show all non-call messages
     });
 
-    // Mark received messages as read
-    const unreadMessages = filteredMessages.filter(
+    // Mark received messages as read (an impersonating admin only looks)
+    const unreadMessages = req.impersonation ? [] : filteredMessages.filter(
       (msg) => msg.receiver.toString() === req.user.id && !msg.isRead
     );
 
@@ -255,7 +270,8 @@ exports.getConversation = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: filteredMessages.length,
-      page,
+      ...(cursor ? {} : { page }),
+      ...cursors,
       messages: filteredMessages,
       otherUser: {
         _id: user._id,
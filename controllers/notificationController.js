@@ -1,4 +1,8 @@
 const Notification = require('../models/Notification');
+const { decodeCursor, paginateQuery, getPageCursors } = require('../utils/pagination');
+
+// Newest first; _id breaks ties for cursors
+const NOTIFICATION_SORT = { createdAt: -1, _id: -1 };
 
 // ============================================
 // GET ALL NOTIFICATIONS
@@ -8,21 +12,33 @@ exports.getNotifications = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
+    const cursor = decodeCursor(req.query.cursor, NOTIFICATION_SORT);
 
-    const notifications = await Notification.find({
+    const query = Notification.find({
       recipient: req.user.id,
     })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
       .populate('sender', 'firstName lastName avatar username')
       .populate('post', 'caption media')
       .populate('comment', 'content');
 
+    let notifications;
+    let cursors;
+    if (cursor) {
+      const result = await paginateQuery(query, NOTIFICATION_SORT, { limit, cursor });
+      notifications = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      notifications = await query.sort(NOTIFICATION_SORT).skip(skip).limit(limit);
+    }
+
     const total = await Notification.countDocuments({
       recipient: req.user.id,
     });
 
+    if (!cursor) {
+      cursors = getPageCursors(notifications, NOTIFICATION_SORT, { page, hasNext: skip + notifications.length < total });
+    }
+
     const unreadCount = await Notification.getUnreadCount(req.user.id);
 
     res.status(200).json({
@@ -30,8 +46,9 @@ exports.getNotifications = async (req, res, next) => {
       count: notifications.length,
       total,
       unreadCount,
-      page,
-      pages: Math.ceil(total / limit),
+      // page/pages only apply to ?page= requests
+      ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      ...cursors,
       notifications,
     });
   } catch (error) {
@@ -190,4 +207,41 @@ exports.createNotification = async (data) => {
     console.error('Error creating notification:', error);
     return null;
   }
+};
+
+// ============================================
+// CREATE NOTIFICATIONS (fan-out to many recipients)
+// ============================================
+// createNotification for every recipient, written in batches. Like all
+// notifications these are pull-only: clients fetch them from
+// GET /api/notifications, nothing is pushed over the socket.
+const NOTIFICATION_BATCH_SIZE = 1000;
+
+exports.createNotifications = async (recipients, data) => {
+  const { sender, type, post, comment, message, content, link } = data;
+  const ids = recipients.filter((recipient) => recipient.toString() !== sender.toString());
+  let created = 0;
+
+  for (let i = 0; i < ids.length; i += NOTIFICATION_BATCH_SIZE) {
+    try {
+      const batch = await Notification.insertMany(
+        ids.slice(i, i + NOTIFICATION_BATCH_SIZE).map((recipient) => ({
+          recipient,
+          sender,
+          type,
+          post,
+          comment,
+          message,
+          content,
+          link,
+        })),
+        { ordered: false }
+      );
+      created += batch.length;
+    } catch (error) {
+      console.error('Error creating notifications:', error);
+    }
+  }
+
+  return created;
 };
\ No newline at end of file
@@ -3,9 +3,23 @@ const Comment = require('../models/Comment');
 const MediaComment = require('../models/MediaComment');
 const User = require('../models/User');
 const { createNotification } = require('./notificationController');
-const { processPostHashtags } = require('../utils/trendingUtils');
 const { deleteFile } = require('../config/cloudinary');
 const pointsService = require('../services/pointsService'); // ✅ ADDED
+const postPublishingService = require('../services/postPublishingService');
+const postRevisionService = require('../services/postRevisionService');
+const feedRankingService = require('../services/feedRankingService');
+const postViewService = require('../services/postViewService');
+const pollService = require('../services/pollService');
+const PostView = require('../models/PostView');
+const Bookmark = require('../models/Bookmark');
+const Share = require('../models/Share');
+const shareService = require('../services/shareService');
+const PostRevision = require('../models/PostRevision');
+const auditService = require('../services/auditService');
+const { decodeCursor, paginateQuery, getPageCursors } = require('../utils/pagination');
+
+// Chronological feed order; _id breaks ties for cursors
+const FEED_SORT = { isPinned: -1, createdAt: -1, _id: -1 };
 
 // @desc    Create new post (Admin/Nelly only)
 // @route   POST /api/posts
@@ -13,7 +27,7 @@ const pointsService = require('../services/pointsService'); // ✅ ADDED
 exports.createPost = async (req, res, next) => {
   try {
     // ONLY ADMIN CAN CREATE POSTS
-    if (!req.user.isAdmin) {
+    if (!req.user.hasPermission('posts.create')) {
       return res.status(403).json({
         success: false,
         message: 'Only admin can create posts',
@@ -32,8 +46,35 @@ exports.createPost = async (req, res, next) => {
       allowLikes,
       allowShares,
       scheduledFor,
+      status,
+      poll,
     } = req.body;
 
+    // Drafts stay private until they are published or scheduled
+    const isDraft = status === 'draft';
+    if (isDraft && scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'A draft cannot have a scheduled time. Schedule it once it is ready.',
+      });
+    }
+
+    // Validate schedule time
+    let publishAt;
+    if (scheduledFor) {
+      publishAt = new Date(scheduledFor);
+
+      if (isNaN(publishAt.getTime()) || publishAt <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled time must be a valid date in the future',
+        });
+      }
+    }
+
+    // Optional poll (JSON string in multipart forms)
+    const pollData = poll ? pollService.parsePoll(poll) : undefined;
+
     // Process uploaded media files
     const media = [];
     if (req.files && req.files.length > 0) {
@@ -49,6 +90,8 @@ exports.createPost = async (req, res, next) => {
     }
 
     // Create post
+    const postStatus = isDraft ? 'draft' : publishAt ? 'scheduled' : 'published';
+
     const post = await Post.create({
       author: req.user.id,
       caption,
@@ -62,30 +105,32 @@ exports.createPost = async (req, res, next) => {
       allowComments: allowComments !== 'false',
       allowLikes: allowLikes !== 'false',
       allowShares: allowShares !== 'false',
-      scheduledFor,
-      status: scheduledFor ? 'scheduled' : 'published',
+      scheduledFor: publishAt,
+      status: postStatus,
+      publishedAt: postStatus === 'published' ? new Date() : null,
+      poll: pollData,
     });
 
+    await postRevisionService.recordInitialRevision(post, req.user._id);
+
     await post.populate('author', 'firstName lastName avatar username');
 
-    // ✅ ADDED: Award points for post creation
-    await pointsService.awardPoints(req.user.id, 'CREATE_POST');
-    if (media.length > 0) {
-      await pointsService.awardPoints(req.user.id, 'POST_WITH_MEDIA');
+    // Points, hashtags, stats and notifications wait until a scheduled post goes live
+    if (post.status === 'published') {
+      await postPublishingService.runPublishSideEffects(post);
     }
-    await pointsService.checkAndAwardBadges(req.user.id);
 
-    // Process hashtags from post
-    await processPostHashtags(post);
+    const messages = {
+      draft: 'Draft saved successfully',
+      scheduled: 'Post scheduled successfully',
+      published: 'Post created successfully',
+    };
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.totalPosts': 1 },
-    });
+    auditService.setAuditTarget(req, post._id);
 
     res.status(201).json({
       success: true,
-      message: 'Post created successfully',
+      message: messages[post.status],
       post,
     });
   } catch (error) {
@@ -93,14 +138,19 @@ exports.createPost = async (req, res, next) => {
   }
 };
 
-// @desc    Get all posts (Feed)
-// @route   GET /api/posts
+// @desc    Get all posts (Feed) - chronological, or ranked with ?mode=for_you
+// @route   GET /api/posts?cursor= (or ?page=)
 // @access  Public
 exports.getPosts = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const mode = req.query.mode === 'for_you' ? 'for_you' : 'chronological';
+    // The ranked feed pages through a snapshot of its ranking with its own
+    // cursors (feedRankingService)
+    const cursor = mode === 'chronological' ? decodeCursor(req.query.cursor, FEED_SORT) : null;
+    const rankedCursor = mode === 'for_you' && req.query.cursor ? String(req.query.cursor) : null;
 
     // FIXED: Get ALL admin users (find all users with role: 'admin')
     const adminUsers = await User.find({ role: 'admin' }).select('_id');
@@ -147,15 +197,44 @@ exports.getPosts = async (req, res, next) => {
     }
 
     // Get posts
-    let posts = await Post.find(query)
-      .sort({ isPinned: -1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'firstName lastName avatar username role')
-      .populate('tournament', 'name location startDate')
-      .lean();
+    let posts;
+    let total;
+    let cursors = {};
+    if (mode === 'for_you') {
+      // Pinned first, then by score - each post carries its ranking breakdown
+      const result = await feedRankingService.getRankedFeed(query, req.user?.id, { skip, limit, cursor: rankedCursor });
+      ({ posts, total } = result);
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else if (cursor) {
+      const result = await paginateQuery(
+        Post.find(query)
+          .populate('author', 'firstName lastName avatar username role')
+          .populate('tournament', 'name location startDate')
+          .lean(),
+        FEED_SORT,
+        { limit, cursor }
+      );
+      posts = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+      total = await Post.countDocuments(query);
+    } else {
+      posts = await Post.find(query)
+        .sort(FEED_SORT)
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'firstName lastName avatar username role')
+        .populate('tournament', 'name location startDate')
+        .lean();
+      total = await Post.countDocuments(query);
+      cursors = getPageCursors(posts, FEED_SORT, { page, hasNext: skip + posts.length < total });
+    }
+
+    // Poll results only for viewers who voted (or closed polls)
+    await pollService.attachPolls(posts, req.user);
+
+    const savedPostIds = await Bookmark.getSavedPostIds(req.user?.id, posts.map((post) => post._id));
 
-    // Add isLikedByMe field for each post
+    // Add isLikedByMe / isSavedByMe fields for each post
     posts = posts.map(post => {
       const isLiked = req.user 
         ? post.likes?.some(like => like.user.toString() === req.user.id)
@@ -171,18 +250,19 @@ exports.getPosts = async (req, res, next) => {
 
       return {
         ...postData,
-        isLikedByMe: isLiked
+        isLikedByMe: isLiked,
+        isSavedByMe: savedPostIds.has(post._id.toString()),
       };
     });
 
-    const total = await Post.countDocuments(query);
-
     res.status(200).json({
       success: true,
+      mode,
       count: posts.length,
       total,
-      page,
-      pages: Math.ceil(total / limit),
+      // page/pages only apply to ?page= requests
+      ...(cursor || rankedCursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      ...cursors,
       posts,
     });
   } catch (error) {
@@ -208,6 +288,14 @@ exports.getPost = async (req, res, next) => {
       });
     }
 
+    // Unpublished posts are only visible to staff who can edit them
+    if (post.status !== 'published' && (!req.user || !req.user.hasPermission('posts.edit'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
     // Add isAdmin virtual to author
     if (post.author) {
       post.author.isAdmin = post.author.role === 'admin';
@@ -221,27 +309,33 @@ exports.getPost = async (req, res, next) => {
       });
     }
 
-    // Add view (if user is logged in and not the author)
-    if (req.user && req.user.id !== post.author._id.toString()) {
-      await Post.findByIdAndUpdate(req.params.id, {
-        $addToSet: { views: { user: req.user.id } }
-      });
+    // Count the view (deduplicated per viewer) unless it's the author or
+    // an admin viewing as the user
+    if ((!req.user || req.user.id !== post.author._id.toString()) && !req.impersonator) {
+      await postViewService.recordView(post._id, postViewService.getViewer(req));
     }
 
-    // Add isLikedByMe field
+    await pollService.attachPolls([post], req.user);
+
+    // Add isLikedByMe / isSavedByMe fields
     const isLiked = req.user 
       ? post.likes?.some(like => like.user.toString() === req.user.id)
       : false;
+    const isSaved = req.user
+      ? !!(await Bookmark.exists({ user: req.user.id, post: post._id }))
+      : false;
 
     // If user is NOT admin, hide private engagement data
     if (!req.user || req.user.role !== 'admin') {
       const { likes, views, ...postData } = post;
       post = {
         ...postData,
-        isLikedByMe: isLiked
+        isLikedByMe: isLiked,
+        isSavedByMe: isSaved,
       };
     } else {
       post.isLikedByMe = isLiked;
+      post.isSavedByMe = isSaved;
     }
 
     res.status(200).json({
@@ -253,7 +347,7 @@ exports.getPost = async (req, res, next) => {
   }
 };
 
-// @desc    Update post
+// @desc    Update post (publish a draft with status: 'published')
 // @route   PUT /api/posts/:id
 // @access  Private (Admin only)
 exports.updatePost = async (req, res, next) => {
@@ -277,26 +371,88 @@ exports.updatePost = async (req, res, next) => {
       allowLikes,
       allowShares,
       location,
+      poll,
     } = req.body;
 
-    post = await Post.findByIdAndUpdate(
-      req.params.id,
-      {
-        caption,
-        tags: tags ? tags.split(',').map((tag) => tag.trim()) : post.tags,
-        isPinned: isPinned !== undefined ? isPinned : post.isPinned,
-        status: status || post.status,
-        allowComments: allowComments !== undefined ? allowComments : post.allowComments,
-        allowLikes: allowLikes !== undefined ? allowLikes : post.allowLikes,
-        allowShares: allowShares !== undefined ? allowShares : post.allowShares,
-        location: location ? JSON.parse(location) : post.location,
-      },
+    // Scheduling has its own endpoint (PUT /api/posts/:id/schedule)
+    if (status === 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the schedule endpoint to schedule a post',
+      });
+    }
+
+    const previous = post.toObject();
+
+    // Publishing a draft (or a scheduled post early). The first time a post
+    // goes live it runs the same side effects as a new post.
+    const publishing = post.status !== 'published' && status === 'published';
+
+    const update = {
+      caption,
+      tags: tags ? tags.split(',').map((tag) => tag.trim()) : post.tags,
+      isPinned: isPinned !== undefined ? isPinned : post.isPinned,
+      status: status || post.status,
+      allowComments: allowComments !== undefined ? allowComments : post.allowComments,
+      allowLikes: allowLikes !== undefined ? allowLikes : post.allowLikes,
+      allowShares: allowShares !== undefined ? allowShares : post.allowShares,
+      location: location ? JSON.parse(location) : post.location,
+    };
+
+    if (publishing) {
+      update.$unset = { scheduledFor: 1 };
+    }
+
+    // Posts published before publishedAt existed get it when they are taken
+    // down, so publishing them again doesn't count as a first publish
+    if (post.status === 'published' && status && status !== 'published' && !post.publishedAt) {
+      update.publishedAt = post.createdAt;
+    }
+
+    // Add, edit or (with poll: null) remove the poll
+    let removingPoll = false;
+    let pollFilter = {};
+    if (poll !== undefined) {
+      const pollUpdate = pollService.getPollUpdate(post.poll, poll);
+      pollFilter = pollUpdate.filter;
+      Object.assign(update, pollUpdate.$set);
+      if (Object.keys(pollUpdate.$unset).length > 0) {
+        update.$unset = { ...update.$unset, ...pollUpdate.$unset };
+      }
+      removingPoll = !!pollUpdate.$unset.poll;
+    }
+
+    // Claim the status change so a draft is never published twice
+    post = await Post.findOneAndUpdate(
+      { _id: req.params.id, status: previous.status, ...pollFilter },
+      update,
       { new: true, runValidators: true }
     );
 
+    if (!post) {
+      return res.status(409).json({
+        success: false,
+        message: 'Post was changed by someone else. Please reload and try again.',
+      });
+    }
+
+    await postRevisionService.recordRevision(post, req.user._id, previous);
+
+    if (removingPoll) {
+      await pollService.deleteVotes([post._id]);
+    }
+
+    if (publishing) {
+      const firstPublish = await postPublishingService.claimFirstPublish(post._id);
+      if (firstPublish) {
+        post = firstPublish;
+        await postPublishingService.runPublishSideEffects(post);
+      }
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Post updated successfully',
+      message: publishing ? 'Post published successfully' : 'Post updated successfully',
       post,
     });
   } catch (error) {
@@ -326,11 +482,18 @@ exports.deletePost = async (req, res, next) => {
     }
 
     await post.deleteOne();
-
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.totalPosts': -1 },
-    });
+    await PostRevision.deleteMany({ post: post._id });
+    await PostView.deleteMany({ post: post._id });
+    await pollService.deleteVotes([post._id]);
+    await Bookmark.deleteMany({ post: post._id });
+    await shareService.deleteForPosts([post._id]);
+
+    // Only posts that went live were counted in the author's stats
+    if (post.status === 'published' || post.publishedAt) {
+      await User.findByIdAndUpdate(post.author, {
+        $inc: { 'stats.totalPosts': -1 },
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -395,14 +558,14 @@ exports.toggleLike = async (req, res, next) => {
   }
 };
 
-// @desc    Share post (increment share count)
-// @route   PUT /api/posts/:id/share
+// @desc    Share post - repost to the feed (optionally quoted), to a story or in a DM
+// @route   PUT /api/posts/:id/share  { quote, target: 'feed'|'story'|'dm', recipientId }
 // @access  Private
 exports.sharePost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('author status allowShares sharesCount');
 
-    if (!post) {
+    if (!post || post.status !== 'published') {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -416,15 +579,240 @@ exports.sharePost = async (req, res, next) => {
       });
     }
 
-    await post.incrementShares();
+    const share = await shareService.sharePost(post, req.user, req.body);
+    const authorId = post.author.toString();
 
-    // Award points to user
-    await req.user.awardPoints(10);
+    // The author earns points once per person sharing, not per share
+    if (share.firstShare && authorId !== req.user.id) {
+      await pointsService.awardPoints(authorId, 'POST_SHARED');
+      await pointsService.checkAndAwardBadges(authorId);
+    }
 
-    res.status(200).json({
+    await createNotification({
+      recipient: post.author,
+      sender: req.user.id,
+      type: 'share',
+      post: post._id,
+      content: share.quote
+        ? `${req.user.firstName} ${req.user.lastName} shared your post: "${share.quote.slice(0, 100)}"`
+        : `${req.user.firstName} ${req.user.lastName} shared your post`,
+      link: `/post/${post._id}`,
+    });
+
+    if (share.target === 'dm') {
+      await createNotification({
+        recipient: share.recipient,
+        sender: req.user.id,
+        type: 'message',
+        message: share.message,
+        content: `${req.user.firstName} ${req.user.lastName} sent you a post`,
+        link: `/chat?userId=${req.user.id}`,
+      });
+    }
+
+    res.status(201).json({
       success: true,
       message: 'Post shared successfully',
+      share,
+      sharesCount: post.sharesCount + 1,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get who shared a post to the feed or a story
+// @route   GET /api/posts/:id/shares?cursor= (or ?page=)
+// @access  Private
+exports.getPostShares = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const cursor = decodeCursor(req.query.cursor, Share.SHARE_SORT);
+
+    const post = await Post.findById(req.params.id).select('status sharesCount');
+
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const query = shareService.getSharesQuery(post._id);
+
+    let shares;
+    let cursors;
+    if (cursor) {
+      const result = await paginateQuery(query, Share.SHARE_SORT, { limit, cursor });
+      shares = result.items;
+      cursors = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      shares = await query.sort(Share.SHARE_SORT).skip(skip).limit(limit);
+    }
+
+    const total = await Share.countDocuments({ post: post._id, target: { $in: ['feed', 'story'] } });
+
+    if (!cursor) {
+      cursors = getPageCursors(shares, Share.SHARE_SORT, { page, hasNext: skip + shares.length < total });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shares.length,
+      total,
+      // All shares, including private ones sent in DMs
       sharesCount: post.sharesCount,
+      // page/pages only apply to ?page= requests
+      ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      ...cursors,
+      shares,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Published post with a poll for the vote endpoints, or null (404)
+const findPollPost = async (id) => {
+  const post = await Post.findById(id).select('author status poll');
+  return post && post.status === 'published' && post.poll ? post : null;
+};
+
+// @desc    Vote in a post's poll
+// @route   POST /api/posts/:id/poll/vote  { optionIndexes: [..] } or { optionIndex }
+// @access  Private
+exports.votePostPoll = async (req, res, next) => {
+  try {
+    const post = await findPollPost(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found',
+      });
+    }
+
+    const result = await pollService.castVote(post, req.user._id, req.body);
+
+    // Points for the first vote only - changing it doesn't earn more
+    await pointsService.awardPoints(req.user.id, 'POLL_VOTE');
+
+    // Voters can see results from now on, so they follow the live counts
+    const io = req.app.get('io');
+    pollService.joinPollRoom(io, req.user.id, post._id);
+    pollService.emitResults(io, result.post);
+
+    res.status(201).json({
+      success: true,
+      message: 'Vote recorded',
+      poll: pollService.serializePoll(result.post.poll, { myVotes: result.vote.options }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change your vote in a post's poll
+// @route   PUT /api/posts/:id/poll/vote  { optionIndexes: [..] } or { optionIndex }
+// @access  Private
+exports.changePostPollVote = async (req, res, next) => {
+  try {
+    const post = await findPollPost(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found',
+      });
+    }
+
+    const result = await pollService.changeVote(post, req.user._id, req.body);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not voted in this poll yet',
+      });
+    }
+
+    pollService.emitResults(req.app.get('io'), result.post);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vote updated',
+      poll: pollService.serializePoll(result.post.poll, { myVotes: result.vote.options }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a view of a post, with optional dwell time
+// @route   POST /api/posts/:id/view  { dwellMs }
+// @access  Public
+exports.recordPostView = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author status');
+
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    // Authors don't count towards their own views
+    if (req.user && req.user.id === post.author.toString()) {
+      return res.status(200).json({
+        success: true,
+        counted: false,
+      });
+    }
+
+    const { counted } = await postViewService.recordView(
+      post._id,
+      postViewService.getViewer(req),
+      req.body?.dwellMs
+    );
+
+    res.status(200).json({
+      success: true,
+      counted,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a batch of impressions (e.g. posts scrolled past in the feed)
+// @route   POST /api/posts/views  { impressions: [{ postId, dwellMs }] }
+// @access  Public
+exports.recordPostViews = async (req, res, next) => {
+  try {
+    const { impressions } = req.body || {};
+
+    if (!Array.isArray(impressions) || impressions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide impressions',
+      });
+    }
+
+    if (impressions.length > postViewService.MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${postViewService.MAX_BATCH_SIZE} impressions`,
+      });
+    }
+
+    const { recorded, counted } = await postViewService.recordViews(impressions, postViewService.getViewer(req));
+
+    res.status(200).json({
+      success: true,
+      recorded,
+      counted,
     });
   } catch (error) {
     next(error);
@@ -437,8 +825,7 @@ exports.sharePost = async (req, res, next) => {
 exports.getPostStats = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('likes.user', 'firstName lastName avatar username')
-      .populate('views.user', 'firstName lastName avatar username');
+      .populate('likes.user', 'firstName lastName avatar username');
 
     if (!post) {
       return res.status(404).json({
@@ -447,13 +834,20 @@ exports.getPostStats = async (req, res, next) => {
       });
     }
 
+    const viewStats = await postViewService.getViewStats(post._id);
+
     const stats = {
       likesCount: post.likesCount,
       commentsCount: post.commentsCount,
       sharesCount: post.sharesCount,
+      // Rolled up periodically; the view stats below are live
       viewsCount: post.viewsCount,
+      uniqueViewers: viewStats.uniqueViewers,
+      totalViews: viewStats.views,
+      totalImpressions: viewStats.totalImpressions,
+      averageDwellMs: viewStats.averageDwellMs,
       likes: post.likes,
-      views: post.views,
+      views: viewStats.recentViewers,
     };
 
     res.status(200).json({
@@ -465,6 +859,231 @@ exports.getPostStats = async (req, res, next) => {
   }
 };
 
+// @desc    Get scheduled posts
+// @route   GET /api/posts/scheduled
+// @access  Private (Admin only)
+exports.getScheduledPosts = async (req, res, next) => {
+  try {
+    const posts = await Post.find({ status: 'scheduled' })
+      .sort({ scheduledFor: 1 })
+      .populate('author', 'firstName lastName avatar username')
+      .populate('tournament', 'name location startDate');
+
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      posts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get drafts (most recently edited first)
+// @route   GET /api/posts/drafts
+// @access  Private (Admin only)
+exports.getDrafts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [posts, total] = await Promise.all([
+      Post.find({ status: 'draft' })
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'firstName lastName avatar username')
+        .populate('tournament', 'name location startDate'),
+      Post.countDocuments({ status: 'draft' }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      posts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reschedule a scheduled post, or schedule a draft
+// @route   PUT /api/posts/:id/schedule
+// @access  Private (Admin only)
+exports.reschedulePost = async (req, res, next) => {
+  try {
+    const { scheduledFor } = req.body;
+    const publishAt = new Date(scheduledFor);
+
+    if (!scheduledFor || isNaN(publishAt.getTime()) || publishAt <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled time must be a valid date in the future',
+      });
+    }
+
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['scheduled', 'draft'] } },
+      { scheduledFor: publishAt, status: 'scheduled' },
+      { new: true, runValidators: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled post or draft not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Post rescheduled successfully',
+      post,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled post (keeps it as a draft)
+// @route   DELETE /api/posts/:id/schedule
+// @access  Private (Admin only)
+exports.cancelScheduledPost = async (req, res, next) => {
+  try {
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { status: 'draft', $unset: { scheduledFor: 1 } },
+      { new: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled post not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled post cancelled and saved as draft',
+      post,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a post's revision history (newest first)
+// @route   GET /api/posts/:id/revisions
+// @access  Private (Admin only)
+exports.getPostRevisions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const post = await Post.findById(req.params.id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const { revisions, total } = await postRevisionService.getRevisions(post._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Diff two revisions of a post
+// @route   GET /api/posts/:id/revisions/diff?from=2&to=5
+// @access  Private (Admin only)
+exports.diffPostRevisions = async (req, res, next) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the revision numbers to compare (from, to)',
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      postRevisionService.getRevision(req.params.id, from),
+      postRevisionService.getRevision(req.params.id, to),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      from: fromRevision,
+      to: toRevision,
+      changes: postRevisionService.diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a post's content from an older revision
+// @route   POST /api/posts/:id/revisions/:revision/restore
+// @access  Private (Admin only)
+exports.restorePostRevision = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const revision = await postRevisionService.getRevision(post._id, parseInt(req.params.revision));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    const restored = await postRevisionService.restoreRevision(post, revision, req.user._id);
+
+    await restored.post.populate('author', 'firstName lastName avatar username');
+
+    res.status(200).json({
+      success: true,
+      message: `Post restored to revision ${revision.revision}`,
+      post: restored.post,
+      revision: restored.revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Like post (alternative implementation)
 // @route   PUT /api/posts/:id/like
 // @access  Private
@@ -709,8 +1328,8 @@ exports.getMediaComments = async (req, res, next) => {
     const { mediaIndex } = req.params;
     const { sort } = req.query; // 'relevant', 'newest', 'all'
 
-    // Only admin can see all comments
-    if (!req.user.isAdmin) {
+    // Only admins/moderators can see all comments
+    if (!req.user.hasPermission('comments.view_all')) {
       return res.status(403).json({
         success: false,
         message: 'Only admin can view comments',
@@ -775,7 +1394,7 @@ exports.getMediaComments = async (req, res, next) => {
 // @access  Private (Admin only)
 exports.tagUserInMedia = async (req, res, next) => {
   try {
-    if (!req.user.isAdmin) {
+    if (!req.user.hasPermission('posts.tag_media')) {
       return res.status(403).json({
         success: false,
         message: 'Only admin can tag users',
@@ -823,8 +1442,8 @@ exports.removeTagFromMedia = async (req, res, next) => {
   try {
     const { mediaIndex, userId } = req.params;
 
-    // Only admin or the tagged user can remove tag
-    if (!req.user.isAdmin && req.user.id !== userId) {
+    // Only staff who tag media or the tagged user can remove a tag
+    if (!req.user.hasPermission('posts.tag_media') && req.user.id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to remove this tag',
@@ -893,15 +1512,30 @@ exports.editComment = async (req, res, next) => {
       });
     }
 
-    // Only comment author or admin can edit
-    if (comment.author.toString() !== req.user.id && !req.user.isAdmin) {
+    // Only the comment author or a moderator can edit
+    if (comment.author.toString() !== req.user.id && !req.user.hasPermission('comments.moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to edit this comment',
       });
     }
 
+    const editedByStaff = comment.author.toString() !== req.user.id;
+    const before = comment.toObject();
+
     await comment.updateContent(content);
+
+    if (editedByStaff) {
+      auditService.recordAudit(req, {
+        action: 'editComment',
+        capability: 'comments.moderate',
+        targetType: commentType === 'media' ? 'MediaComment' : 'Comment',
+        targetId: comment._id,
+        before,
+        after: comment,
+      });
+    }
+
     await comment.populate('author', 'firstName lastName avatar username');
 
     res.status(200).json({
@@ -930,8 +1564,8 @@ exports.deleteComment = async (req, res, next) => {
       });
     }
 
-    // Only comment author or admin can delete
-    if (comment.author.toString() !== req.user.id && !req.user.isAdmin) {
+    // Only comment author or a moderator can delete
+    if (comment.author.toString() !== req.user.id && !req.user.hasPermission('comments.moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this comment',
@@ -950,6 +1584,16 @@ exports.deleteComment = async (req, res, next) => {
 
     await comment.deleteOne();
 
+    if (comment.author.toString() !== req.user.id) {
+      auditService.recordAudit(req, {
+        action: 'deleteComment',
+        capability: 'comments.moderate',
+        targetType: commentType === 'media' ? 'MediaComment' : 'Comment',
+        targetId: comment._id,
+        before: comment,
+      });
+    }
+
     // Update post/media comments count
     if (commentType === 'media') {
       await Post.findOneAndUpdate(
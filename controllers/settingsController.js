@@ -1,5 +1,14 @@
 const Settings = require('../models/Settings');
 const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const sessionService = require('../services/sessionService');
+const loginService = require('../services/loginService');
+const accessTokenService = require('../services/accessTokenService');
+const impersonationService = require('../services/impersonationService');
+const { SCOPES } = require('../config/tokenScopes');
+const { getDeviceInfo } = require('../utils/requestInfo');
+const { clearTokenCookies } = require('../utils/tokenGenerator');
+const { disconnectRevokedSockets } = require('../middleware/socketAuth');
 
 // @desc    Get user settings
 // @route   GET /api/settings
@@ -112,18 +121,32 @@ exports.updateSecuritySettings = async (req, res, next) => {
 
     const { twoFactorEnabled, loginAlerts, loginApprovals } = req.body;
 
-    if (twoFactorEnabled !== undefined) {
-      settings.security.twoFactorEnabled = twoFactorEnabled;
+    // 2FA can only be switched on/off through enrollment, never by a bare flag
+    if (twoFactorEnabled !== undefined && twoFactorEnabled !== settings.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: twoFactorEnabled
+          ? 'Use /api/auth/2fa/setup to enable two-factor authentication'
+          : 'Use /api/auth/2fa/disable to disable two-factor authentication'
+      });
     }
     if (loginAlerts !== undefined) {
       settings.security.loginAlerts = loginAlerts;
     }
+    const enablingApprovals = loginApprovals === true && !settings.security.loginApprovals;
     if (loginApprovals !== undefined) {
       settings.security.loginApprovals = loginApprovals;
     }
 
     await settings.save();
 
+    // Trust the device that turned approvals on so it isn't locked out
+    if (enablingApprovals) {
+      loginService.identifyDevice(req, res);
+      await loginService.trustDevice(userId, getDeviceInfo(req));
+      settings = await Settings.findOne({ user: userId });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Security settings updated successfully',
@@ -380,19 +403,15 @@ exports.unmuteUser = async (req, res, next) => {
 exports.getActiveSessions = async (req, res, next) => {
   try {
     const userId = req.user._id || req.user.id;
-    
-    const settings = await Settings.findOne({ user: userId });
 
-    if (!settings) {
-      return res.status(200).json({
-        success: true,
-        sessions: []
-      });
-    }
+    const sessions = await sessionService.getSessions(userId);
 
     res.status(200).json({
       success: true,
-      sessions: settings.security.activeSessions || []
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
     });
   } catch (error) {
     console.error('Error in getActiveSessions:', error);
@@ -403,7 +422,7 @@ exports.getActiveSessions = async (req, res, next) => {
   }
 };
 
-// @desc    Remove session
+// @desc    Remove session (logs that device out)
 // @route   DELETE /api/settings/sessions/:sessionId
 // @access  Private
 exports.removeSession = async (req, res, next) => {
@@ -411,20 +430,19 @@ exports.removeSession = async (req, res, next) => {
     const { sessionId } = req.params;
     const userId = req.user._id || req.user.id;
 
-    const settings = await Settings.findOne({ user: userId });
+    const removed = await sessionService.revokeSession(userId, sessionId);
+    await disconnectRevokedSockets(req.app.get('io'), userId);
 
-    if (!settings) {
+    if (!removed) {
       return res.status(404).json({
         success: false,
-        message: 'Settings not found'
+        message: 'Session not found'
       });
     }
 
-    settings.security.activeSessions = settings.security.activeSessions.filter(
-      session => session._id.toString() !== sessionId
-    );
-
-    await settings.save();
+    if (sessionId === req.sessionId) {
+      clearTokenCookies(res);
+    }
 
     res.status(200).json({
       success: true,
@@ -437,4 +455,288 @@ exports.removeSession = async (req, res, next) => {
       message: error.message || 'Error removing session'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Log out everywhere (optionally keep the current device)
+// @route   DELETE /api/settings/sessions?keepCurrent=true
+// @access  Private
+exports.removeAllSessions = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const count = await sessionService.revokeAllSessions(
+      userId,
+      keepCurrent ? req.sessionId : null
+    );
+    await disconnectRevokedSockets(req.app.get('io'), userId);
+
+    if (!keepCurrent) {
+      clearTokenCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent
+        ? 'Logged out of all other devices'
+        : 'Logged out of all devices',
+      count
+    });
+  } catch (error) {
+    console.error('Error in removeAllSessions:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error removing sessions'
+    });
+  }
+};
+
+// @desc    Get trusted devices
+// @route   GET /api/settings/trusted-devices
+// @access  Private
+exports.getTrustedDevices = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const currentDeviceId = getDeviceInfo(req).deviceId;
+
+    const settings = await Settings.findOne({ user: userId }).select('security.trustedDevices');
+    const devices = settings ? settings.security.trustedDevices : [];
+
+    res.status(200).json({
+      success: true,
+      devices: devices.map(device => ({
+        ...device.toObject(),
+        isCurrent: device.deviceId === currentDeviceId
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getTrustedDevices:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching trusted devices'
+    });
+  }
+};
+
+// @desc    Remove a trusted device (it will need approval again)
+// @route   DELETE /api/settings/trusted-devices/:deviceId
+// @access  Private
+exports.removeTrustedDevice = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { deviceId } = req.params;
+
+    const result = await Settings.updateOne(
+      { user: userId, 'security.trustedDevices.deviceId': deviceId },
+      { $pull: { 'security.trustedDevices': { deviceId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trusted device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Trusted device removed successfully'
+    });
+  } catch (error) {
+    console.error('Error in removeTrustedDevice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error removing trusted device'
+    });
+  }
+};
+
+// @desc    Get recent logins (device, IP, time)
+// @route   GET /api/settings/login-history
+// @access  Private
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const [logins, total] = await Promise.all([
+      LoginHistory.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LoginHistory.countDocuments({ user: userId })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: logins.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      logins
+    });
+  } catch (error) {
+    console.error('Error in getLoginHistory:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching login history'
+    });
+  }
+};
+
+// @desc    Get personal access tokens
+// @route   GET /api/settings/access-tokens
+// @access  Private
+exports.getAccessTokens = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const tokens = await accessTokenService.getTokens(userId);
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      tokens: tokens.map(token => ({
+        ...token.toObject(),
+        isExpired: token.expiresAt <= Date.now(),
+        isCurrent: req.accessToken ? token._id.equals(req.accessToken._id) : false
+      })),
+      availableScopes: SCOPES
+    });
+  } catch (error) {
+    console.error('Error in getAccessTokens:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching access tokens'
+    });
+  }
+};
+
+// @desc    Create a personal access token (the token is only shown once)
+// @route   POST /api/settings/access-tokens
+// @access  Private
+exports.createAccessToken = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { name, scopes, expiresInDays = 30 } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a token name'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose at least one scope',
+        availableScopes: SCOPES
+      });
+    }
+
+    const invalidScopes = accessTokenService.getInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${invalidScopes.join(', ')}`,
+        availableScopes: SCOPES
+      });
+    }
+
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > accessTokenService.MAX_EXPIRE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Tokens must expire within 1 to ${accessTokenService.MAX_EXPIRE_DAYS} days`
+      });
+    }
+
+    const activeCount = await accessTokenService.countActiveTokens(userId);
+    if (activeCount >= accessTokenService.MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${accessTokenService.MAX_TOKENS_PER_USER} active tokens. Revoke one first.`
+      });
+    }
+
+    const { accessToken, token } = await accessTokenService.createToken(userId, {
+      name: name.trim(),
+      scopes,
+      expiresInDays: days
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this token now - you won\'t be able to see it again.',
+      token,
+      accessToken
+    });
+  } catch (error) {
+    console.error('Error in createAccessToken:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error creating access token'
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/settings/access-tokens/:tokenId
+// @access  Private
+exports.revokeAccessToken = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const revoked = await accessTokenService.revokeToken(userId, req.params.tokenId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Access token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error in revokeAccessToken:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error revoking access token'
+    });
+  }
+};
+
+// @desc    Get times an admin viewed my account, with every request they made
+// @route   GET /api/settings/impersonations
+// @access  Private
+exports.getImpersonationHistory = async (req, res, next) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { history, total } = await impersonationService.getUserHistory(userId, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      impersonations: history
+    });
+  } catch (error) {
+    console.error('Error in getImpersonationHistory:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error fetching impersonation history'
+    });
+  }
+};
+
@@ -1,5 +1,6 @@
 const Story = require('../models/Story');
 const User = require('../models/User');
+const auditService = require('../services/auditService');
 
 // @desc    Create new story (Admin only) - Supports multiple media & text
 // @route   POST /api/stories
@@ -86,6 +87,8 @@ exports.createStory = async (req, res, next) => {
     // Populate author
     await story.populate('author', 'firstName lastName username avatar');
 
+    auditService.setAuditTarget(req, story._id);
+
     res.status(201).json({
       success: true,
       message: 'Story created successfully',
@@ -110,14 +113,15 @@ exports.getAllStories = async (req, res, next) => {
       ],
     })
       .populate('author', 'firstName lastName username avatar')
+      .populate('sharedPost', 'caption media type author')
       .sort({ createdAt: -1 });
 
     // For regular users, hide sensitive data
     const sanitizedStories = stories.map((story) => {
       const storyObj = story.toObject();
       
-      // Only admin can see detailed stats
-      if (!req.user.isAdmin) {
+      // Only staff with analytics access see detailed stats
+      if (!req.user.hasPermission('analytics.view')) {
         delete storyObj.viewers;
         delete storyObj.likes;
         delete storyObj.comments;
@@ -147,7 +151,8 @@ exports.getAllStories = async (req, res, next) => {
 exports.getStoryById = async (req, res, next) => {
   try {
     const story = await Story.findById(req.params.id)
-      .populate('author', 'firstName lastName username avatar');
+      .populate('author', 'firstName lastName username avatar')
+      .populate('sharedPost', 'caption media type author');
 
     if (!story) {
       return res.status(404).json({
@@ -156,12 +161,14 @@ exports.getStoryById = async (req, res, next) => {
       });
     }
 
-    // Auto-record view
-    await story.addViewer(req.user.id, 0, false);
+    // Auto-record view (not when an admin is impersonating the user)
+    if (!req.impersonation) {
+      await story.addViewer(req.user.id, 0, false);
+    }
 
     // Sanitize data for regular users
     const storyObj = story.toObject();
-    if (!req.user.isAdmin) {
+    if (!req.user.hasPermission('analytics.view')) {
       delete storyObj.viewers;
       delete storyObj.likes;
       delete storyObj.comments;
@@ -331,16 +338,27 @@ exports.deleteComment = async (req, res, next) => {
       });
     }
 
-    // Only admin or comment owner can delete
-    if (!req.user.isAdmin && comment.user.toString() !== req.user.id) {
+    // Only moderators or the comment owner can delete
+    if (!req.user.hasPermission('comments.moderate') && comment.user.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this comment',
       });
     }
 
+    const before = comment.toObject();
     await story.deleteComment(req.params.commentId);
 
+    if (before.user.toString() !== req.user.id) {
+      auditService.recordAudit(req, {
+        action: 'deleteStoryComment',
+        capability: 'comments.moderate',
+        targetType: 'StoryComment',
+        targetId: before._id,
+        before,
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Comment deleted',
@@ -1,5 +1,6 @@
 const Tournament = require('../models/Tournament');
 const { deleteFile } = require('../config/cloudinary');
+const auditService = require('../services/auditService');
 
 // @desc    Create tournament (Admin only)
 // @route   POST /api/tournaments
@@ -43,6 +44,8 @@ exports.createTournament = async (req, res, next) => {
       isFeatured: isFeatured === 'true',
     });
 
+    auditService.setAuditTarget(req, tournament._id);
+
     res.status(201).json({
       success: true,
       message: 'Tournament created successfully',
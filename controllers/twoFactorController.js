@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { verifyChallengeToken } = require('../utils/tokenGenerator');
+const loginService = require('../services/loginService');
+const bruteForceService = require('../services/bruteForceService');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code (rejecting replays) or a one-time recovery code.
+// `user` must be loaded with TWO_FACTOR_FIELDS.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return await user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+  return true;
+};
+
+const setTwoFactorSetting = async (userId, enabled) => {
+  await Settings.findOneAndUpdate(
+    { user: userId },
+    { $set: { 'security.twoFactorEnabled': enabled } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// @desc    Start 2FA enrollment (generate secret + otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+
+    if (user.twoFactor?.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm 2FA enrollment with the first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret +twoFactor.secret');
+
+    if (user.twoFactor?.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+
+    const recoveryCodes = await user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await setTwoFactorSetting(user._id, true);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable 2FA (requires password and a code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    user.twoFactor = {};
+    await user.save({ validateBeforeSave: false });
+
+    await setTwoFactorSetting(user._id, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const recoveryCodes = await user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a 2FA login (exchange challenge token + code for a session)
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token from /login)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please login again.',
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || (!user.isActive && !user.isPendingDeletion()) || !user.twoFactor?.secret) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please login again.',
+      });
+    }
+
+    // Codes have their own lockout that only a correct code clears
+    const attemptKeys = bruteForceService.getTwoFactorKeys(req, user);
+    const blocked = await bruteForceService.checkAttempts(attemptKeys);
+    if (blocked) {
+      return bruteForceService.sendBlocked(res, blocked);
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await bruteForceService.recordFailure(attemptKeys, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    await bruteForceService.clearAttempts(attemptKeys);
+
+    // Strip 2FA secrets from output
+    user.twoFactor = undefined;
+    await loginService.completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+const { getRequiredScope, scopesAllow } = require('../config/tokenScopes');
+
+// Personal access token whose scopes cover this request, or null
+const getScopedAccessToken = async (token, req) => {
+  const accessToken = await accessTokenService.authenticate(token, req);
+  if (!accessToken) return null;
+
+  const requiredScope = getRequiredScope(req.method, req.originalUrl);
+  return scopesAllow(accessToken.scopes, requiredScope) ? accessToken : null;
+};
 
 // ============================================
 // PROTECT ROUTES - JWT VERIFICATION
@@ -27,12 +41,88 @@ exports.protect = async (req, res, next) => {
     });
   }
 
+  // Personal access token (scripts, dashboards, imports)
+  if (accessTokenService.isAccessToken(token)) {
+    try {
+      const accessToken = await accessTokenService.authenticate(token, req);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access token invalid, expired or revoked.',
+        });
+      }
+
+      // Scopes limit which parts of the API the token can reach
+      const requiredScope = getRequiredScope(req.method, req.originalUrl);
+      if (!scopesAllow(accessToken.scopes, requiredScope)) {
+        return res.status(403).json({
+          success: false,
+          message: requiredScope
+            ? `Access token is missing the required scope: ${requiredScope}`
+            : 'Access tokens cannot be used for this route.',
+          requiredScope,
+        });
+      }
+
+      req.user = accessToken.user;
+      req.accessToken = accessToken;
+
+      if (!req.user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been deactivated.',
+        });
+      }
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Admin viewing the API as this user - read-only, every request recorded
+    if (decoded.imp) {
+      const context = await impersonationService.resolveImpersonation(decoded);
+
+      if (!context) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session ended or expired.',
+        });
+      }
+
+      req.user = context.user;
+      req.impersonator = context.admin;
+      req.impersonation = context.impersonation;
+      impersonationService.recordRequest(req, res, context.impersonation);
+
+      if (!impersonationService.READ_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          success: false,
+          impersonating: true,
+          message: 'Impersonation is read-only. Write actions are blocked.',
+        });
+      }
+
+      return next();
+    }
+
+    // Reject tokens whose session was revoked (logout, "log out everywhere")
+    if (!(await isSessionActive(decoded.id, decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again.',
+      });
+    }
+
     // Get user from database
     req.user = await User.findById(decoded.id);
+    req.sessionId = decoded.sid;
 
     if (!req.user) {
       return res.status(401).json({
@@ -79,6 +169,26 @@ exports.adminOnly = (req, res, next) => {
   }
 };
 
+// ============================================
+// REQUIRE PERMISSION - Capability from the permission matrix
+// ============================================
+// Writes behind a permission are staff actions, so they are also recorded
+// in the audit log (services/auditService) under options.action, the
+// handler's name.
+exports.requirePermission = (capability, { action } = {}) => {
+  return async (req, res, next) => {
+    if (req.user && req.user.hasPermission(capability)) {
+      await auditService.trackRequest(req, res, capability, { action });
+      next();
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${capability}`,
+      });
+    }
+  };
+};
+
 // ============================================
 // ADMIN OR OWNER - User can access own resources
 // ============================================
@@ -104,8 +214,14 @@ exports.adminOrOwner = (resourceUserId) => {
 // ============================================
 // VERIFIED USERS ONLY - Email verification required
 // ============================================
+// Admins/moderators are exempt. Set REQUIRE_EMAIL_VERIFICATION=false to turn
+// the gate off (e.g. while existing accounts catch up on verification).
 exports.verifiedOnly = (req, res, next) => {
-  if (req.user && req.user.isVerified) {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  if (req.user && (req.user.isVerified || req.user.hasModeratorAccess())) {
     next();
   } else {
     return res.status(403).json({
@@ -131,10 +247,42 @@ exports.optionalAuth = async (req, res, next) => {
     token = req.cookies.token;
   }
 
-  if (token) {
+  if (token && accessTokenService.isAccessToken(token)) {
+    try {
+      const accessToken = await getScopedAccessToken(token, req);
+
+      if (accessToken) {
+        req.user = accessToken.user;
+        req.accessToken = accessToken;
+      }
+    } catch (error) {
+      // Token lookup failed, but continue without user
+      req.user = null;
+    }
+  } else if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
+      const context = decoded.imp
+        ? await impersonationService.resolveImpersonation(decoded)
+        : null;
+
+      if (context) {
+        req.user = context.user;
+        req.impersonator = context.admin;
+        req.impersonation = context.impersonation;
+        impersonationService.recordRequest(req, res, context.impersonation);
+
+        if (!impersonationService.READ_METHODS.includes(req.method)) {
+          return res.status(403).json({
+            success: false,
+            impersonating: true,
+            message: 'Impersonation is read-only. Write actions are blocked.',
+          });
+        }
+      } else if (!decoded.imp && await isSessionActive(decoded.id, decoded.sid)) {
+        req.user = await User.findById(decoded.id);
+        req.sessionId = decoded.sid;
+      }
     } catch (error) {
       // Token invalid, but continue without user
       req.user = null;
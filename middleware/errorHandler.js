@@ -100,6 +100,19 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // ============================================
+  // PASSWORD POLICY ERRORS
+  // ============================================
+
+  if (err.name === 'PasswordPolicyError') {
+    error = {
+      message: err.message,
+      statusCode: 400,
+      errorCode: err.code,
+      errors: err.violations,
+    };
+  }
+
   // ============================================
   // CUSTOM APPLICATION ERRORS
   // ============================================
@@ -138,6 +151,11 @@ const errorHandler = (err, req, res, next) => {
     response.errors = error.errors;
   }
 
+  // Add machine-readable error code (e.g. PASSWORD_POLICY)
+  if (error.errorCode) {
+    response.code = error.errorCode;
+  }
+
   // Add field name if duplicate key error
   if (error.field) {
     response.field = error.field;
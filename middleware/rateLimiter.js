@@ -1,38 +1,85 @@
-const rateLimit = require('express-rate-limit');
-
-// Rate limiter for message endpoints
-exports.messageRateLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 60, // 60 requests per minute (1 per second average)
-  message: {
-    success: false,
-    message: 'Too many requests, please slow down',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Skip rate limiting for localhost in development
-  skip: (req) => {
-    return process.env.NODE_ENV === 'development' && 
-           req.ip === '::1' || req.ip === '127.0.0.1';
+const policies = require('../config/rateLimits');
+const { createStore } = require('../utils/rateLimitStores');
+const { getClientIp } = require('../utils/requestInfo');
+
+let store = createStore();
+
+// Swap the store (e.g. a shared store for multiple instances, or in tests)
+exports.setStore = (newStore) => {
+  store = newStore;
+};
+
+exports.getStore = () => store;
+
+// Per user when authenticated (run after protect), per IP otherwise
+const getKey = (req, policyName) => {
+  const userId = req.user?._id || req.user?.id;
+  return userId
+    ? `${policyName}:user:${userId}`
+    : `${policyName}:ip:${getClientIp(req)}`;
+};
+
+// ============================================
+// RATE LIMIT MIDDLEWARE (by policy name)
+// ============================================
+exports.rateLimit = (policyName) => {
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Rate limit policy '${policyName}' not found`);
   }
-});
-
-// Stricter rate limiter for conversations endpoint
-exports.conversationsRateLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 30, // 30 requests per minute
-  message: {
-    success: false,
-    message: 'Too many requests to conversations endpoint',
-  },
-});
-
-// Rate limiter for user search
-exports.searchRateLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000,
-  max: 20, // 20 searches per minute
-  message: {
-    success: false,
-    message: 'Too many search requests',
-  },
-});
\ No newline at end of file
+
+  const windowSeconds = Math.ceil(policy.windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+    // Admins are never rate limited
+    if (req.user?.isAdmin) return next();
+
+    let result;
+    try {
+      result = await store.increment(getKey(req, policyName), policy.windowMs);
+    } catch (error) {
+      // Never take the API down because the store is unavailable
+      console.error(`❌ Rate limit store error (${policyName}):`, error.message);
+      return next();
+    }
+
+    const remaining = Math.max(policy.max - result.count, 0);
+    const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+
+    // IETF draft standard headers
+    res.set({
+      'RateLimit-Policy': `${policy.max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(policy.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (result.count > policy.max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: policy.message,
+        retryAfter: resetSeconds,
+      });
+    }
+
+    next();
+  };
+};
+
+// ============================================
+// NAMED LIMITERS
+// ============================================
+exports.loginRateLimiter = exports.rateLimit('login');
+exports.registerRateLimiter = exports.rateLimit('register');
+exports.passwordResetRateLimiter = exports.rateLimit('passwordReset');
+exports.accountRecoveryRateLimiter = exports.rateLimit('accountRecovery');
+exports.dataExportRateLimiter = exports.rateLimit('dataExport');
+exports.messageRateLimiter = exports.rateLimit('messaging');
+exports.conversationsRateLimiter = exports.rateLimit('conversations');
+exports.searchRateLimiter = exports.rateLimit('search');
+exports.uploadRateLimiter = exports.rateLimit('uploads');
+exports.reactionRateLimiter = exports.rateLimit('reactions');
+exports.viewRateLimiter = exports.rateLimit('views');
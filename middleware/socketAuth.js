@@ -0,0 +1,150 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+
+// Socket.IO counterpart of protect: sockets are authenticated with the same
+// JWT access token, and socket.userId always comes from the verified token.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Token from the handshake: auth payload, Authorization header, or cookie
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && typeof handshake.auth.token === 'string') {
+    return handshake.auth.token;
+  }
+
+  const authorization = handshake.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer')) {
+    return authorization.split(' ')[1];
+  }
+
+  const cookies = handshake.headers.cookie || '';
+  const match = cookies.split(';').map((part) => part.trim()).find((part) => part.startsWith('token='));
+  return match ? decodeURIComponent(match.slice('token='.length)) : null;
+};
+
+// Verify a token and load its user. Throws an Error whose message is sent
+// to the client with connect_error.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new Error('Not authorized. Please login.');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError'
+      ? 'Token expired. Please login again.'
+      : 'Not authorized. Invalid token.');
+  }
+
+  // Impersonation is read-only REST access - no realtime connections
+  if (decoded.imp) {
+    throw new Error('Impersonation tokens cannot open realtime connections.');
+  }
+
+  if (!(await isSessionActive(decoded.id, decoded.sid))) {
+    throw new Error('Session expired or revoked. Please login again.');
+  }
+
+  const user = await User.findById(decoded.id).select('isActive');
+  if (!user || !user.isActive) {
+    throw new Error('User not found or deactivated.');
+  }
+
+  return decoded;
+};
+
+const applyAuth = (socket, decoded) => {
+  socket.userId = decoded.id.toString();
+  socket.data.userId = socket.userId;
+  socket.data.sessionId = decoded.sid;
+  socket.data.tokenExpiresAt = decoded.exp * 1000;
+};
+
+// Tell the client why, then drop the connection
+const expireSocket = (socket, message) => {
+  socket.emit('auth:expired', { message });
+  socket.disconnect(true);
+};
+
+// ============================================
+// HANDSHAKE MIDDLEWARE - io.use(socketAuth)
+// ============================================
+exports.socketAuth = async (socket, next) => {
+  try {
+    const decoded = await authenticateToken(getHandshakeToken(socket.handshake));
+    applyAuth(socket, decoded);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+};
+
+// ============================================
+// TOKEN REFRESH - keep a socket alive past the access token's expiry
+// ============================================
+// Clients send 'auth:refresh' with the new access token after refreshing it
+// over HTTP. The token must belong to the same user.
+exports.refreshSocketAuth = async (socket, token) => {
+  try {
+    const decoded = await authenticateToken(token);
+
+    if (decoded.id.toString() !== socket.userId) {
+      expireSocket(socket, 'Token belongs to a different user.');
+      return false;
+    }
+
+    applyAuth(socket, decoded);
+    return true;
+  } catch (error) {
+    expireSocket(socket, error.message);
+    return false;
+  }
+};
+
+// ============================================
+// REVOCATION
+// ============================================
+
+// Disconnect a user's sockets whose session was revoked (logout, "log out
+// everywhere", password change). Call after revoking sessions.
+exports.disconnectRevokedSockets = async (io, userId) => {
+  if (!io) return 0;
+
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  let disconnected = 0;
+
+  for (const socket of sockets) {
+    if (!(await isSessionActive(socket.data.userId, socket.data.sessionId))) {
+      expireSocket(socket, 'Session expired or revoked. Please login again.');
+      disconnected += 1;
+    }
+  }
+
+  return disconnected;
+};
+
+// Periodically drop sockets whose token expired or whose session was revoked
+exports.startSocketAuthSweep = (io, intervalMs = SWEEP_INTERVAL) => {
+  const timer = setInterval(async () => {
+    try {
+      const now = Date.now();
+      const sockets = await io.fetchSockets();
+
+      for (const socket of sockets) {
+        if (!socket.data.tokenExpiresAt || socket.data.tokenExpiresAt <= now) {
+          expireSocket(socket, 'Token expired. Please login again.');
+        } else if (!(await isSessionActive(socket.data.userId, socket.data.sessionId))) {
+          expireSocket(socket, 'Session expired or revoked. Please login again.');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Socket auth sweep error:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
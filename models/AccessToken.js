@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A personal access token for scripts and integrations. Only a hash of the
+// token is stored - the plain token is shown once, when it's created.
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a token name'],
+      trim: true,
+      maxlength: [100, 'Token name cannot exceed 100 characters'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token so users can tell their tokens apart
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check if the token can still be used
+accessTokenSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A single-use invitation to join the team as an admin or moderator.
+// Only a hash of the emailed token is stored.
+const adminInviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Please provide an email'],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        'Please provide a valid email',
+      ],
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'moderator'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adminInviteSchema.index({ status: 1, expiresAt: 1 });
+
+// Check if the invite can still be accepted
+adminInviteSchema.methods.isUsable = function () {
+  return this.status === 'pending' && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('AdminInvite', adminInviteSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One privileged (admin/moderator) action. Written by services/auditService
+// for every write behind requirePermission and for inline moderator actions.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    actorRole: String,
+    // Controller action, e.g. deletePost, awardPoints, togglePinComment
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    capability: String,
+    targetType: {
+      type: String,
+      required: true,
+    },
+    // String so non-ObjectId targets (e.g. a trending hashtag) fit too
+    targetId: String,
+    // { field: { before, after } } for the fields the action changed
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -246,6 +246,7 @@ const POINTS_CONFIG = {
   RECEIVE_LIKE: 5,
   RECEIVE_COMMENT: 3,
   POST_SHARED: 10,
+  POLL_VOTE: 2,
   
   // Comment Actions
   CREATE_COMMENT: 3,
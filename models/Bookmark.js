@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A post a user saved to come back to later, optionally filed under one of
+// their named collections. Saving an already saved post again just moves it.
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // null = saved without a collection
+    collectionName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Collection name cannot exceed 50 characters'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, collectionName: 1, createdAt: -1 });
+bookmarkSchema.index({ post: 1 });
+
+// Newest first; _id breaks ties for cursors
+bookmarkSchema.statics.SAVED_SORT = { createdAt: -1, _id: -1 };
+
+// Ids (as strings) of the given posts the user has saved
+bookmarkSchema.statics.getSavedPostIds = async function (userId, postIds) {
+  if (!userId || postIds.length === 0) return new Set();
+
+  const saved = await this.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(saved.map((bookmark) => bookmark.post.toString()));
+};
+
+// The user's collections with how many posts each holds, most recently
+// used first. Posts saved without a collection are not listed here.
+bookmarkSchema.statics.getCollections = async function (userId) {
+  const collections = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), collectionName: { $ne: null } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$collectionName',
+        count: { $sum: 1 },
+        lastSavedAt: { $first: '$createdAt' },
+        latestPost: { $first: '$post' },
+      },
+    },
+    { $sort: { lastSavedAt: -1 } },
+  ]);
+
+  return collections.map(({ _id, ...collection }) => ({ name: _id, ...collection }));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
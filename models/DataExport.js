@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user. The archive is built in the
+// background, stored privately on Cloudinary and can be downloaded with the
+// emailed link until it expires.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+      default: 'pending',
+    },
+    fileName: String,
+    // Cloudinary public id of the private archive - never sent to clients
+    storageId: {
+      type: String,
+      select: false,
+    },
+    fileSize: Number,
+    // Hash of the download link token
+    downloadTokenHash: {
+      type: String,
+      select: false,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: Date,
+    expiresAt: Date,
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Check if the download link still works
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === 'ready' && !!this.expiresAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const weight = (defaultValue) => ({
+  type: Number,
+  default: defaultValue,
+  min: [0, 'Weights cannot be negative'],
+  max: [10, 'Weights cannot exceed 10'],
+});
+
+// Ranking weights for the "for you" feed (services/feedRankingService).
+// A single document, edited by admins at /api/admin/feed-config.
+const feedConfigSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+    },
+    weights: {
+      recency: weight(1),
+      engagement: weight(1),
+      hashtagAffinity: weight(0.6),
+      tournamentAffinity: weight(0.4),
+      // Subtracted for posts the viewer has already seen
+      seenPenalty: weight(0.8),
+    },
+    // Recency score halves every N hours
+    recencyHalfLifeHours: {
+      type: Number,
+      default: 24,
+      min: [1, 'Half-life must be at least 1 hour'],
+      max: [24 * 30, 'Half-life cannot exceed 30 days'],
+    },
+    // Only posts from the last N days are ranked
+    candidateWindowDays: {
+      type: Number,
+      default: 14,
+      min: [1, 'Window must be at least 1 day'],
+      max: [365, 'Window cannot exceed 365 days'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The config, created with the defaults on first use
+feedConfigSchema.statics.getConfig = async function () {
+  return await this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('FeedConfig', feedConfigSchema);
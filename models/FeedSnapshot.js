@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A signed-in viewer's "for you" ranking, frozen when they open the feed so
+// every later page comes from the same order (services/feedRankingService).
+// Scores move as posts age, get engagement or are seen, so re-ranking per
+// page would repeat and skip posts.
+const feedSnapshotSchema = new mongoose.Schema(
+  {
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Post ids in ranked order; each page is scored again for its breakdown
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+      },
+    ],
+    // What engagement was scored against, so page scores match the ranking
+    maxVelocity: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB removes the snapshot once it expires
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FeedSnapshot', feedSnapshotSchema);
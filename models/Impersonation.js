@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// An admin viewing the API as a user. Sessions are read-only and time-limited;
+// every request made during one is recorded in ImpersonationLog.
+const impersonationSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Why the admin needed to see the user's view (e.g. a support ticket)
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // The admin's own session - logging out ends the impersonation too
+    adminSessionId: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: Date,
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check if the session can still be used
+impersonationSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
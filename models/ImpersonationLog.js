@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One request made by an admin while impersonating a user. Visible to the
+// impersonated user in their settings.
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Impersonation',
+      required: true,
+      index: true,
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    // Write requests are rejected while impersonating, but still recorded
+    blocked: {
+      type: Boolean,
+      default: false,
+    },
+    ipAddress: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
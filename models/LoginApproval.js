@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A login from an untrusted device, held until the account owner approves it
+// from one of their existing sessions (or from the emailed link).
+const loginApprovalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'denied', 'completed'],
+      default: 'pending',
+    },
+    device: {
+      deviceId: String,
+      deviceName: String,
+      deviceType: String,
+      browser: String,
+      os: String,
+      ipAddress: String,
+    },
+    // Hash of the single-use link emailed when no other session can approve
+    emailTokenHash: {
+      type: String,
+      select: false,
+    },
+    respondedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB removes the request once it expires
+loginApprovalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if request can still be acted upon
+loginApprovalSchema.methods.isExpired = function () {
+  return this.expiresAt <= Date.now();
+};
+
+module.exports = mongoose.model('LoginApproval', loginApprovalSchema);
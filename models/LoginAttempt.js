@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Failed credential attempts, tracked per account (email), per IP and per
+// user for second-factor codes. Used for exponential backoff and temporary
+// lockouts.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['account', 'ip', 'two_factor'],
+      required: true,
+    },
+    // Lowercased email for accounts, client IP for IPs, user id for two_factor
+    identifier: {
+      type: String,
+      required: true,
+    },
+    // Set for account / two_factor entries that match a real user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    // Number of times this key has been locked (each lock lasts longer)
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // Hash of the unlock link emailed to the account owner
+    unlockTokenHash: {
+      type: String,
+      select: false,
+    },
+    // MongoDB removes the entry once it has been quiet long enough
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ type: 1, identifier: 1 }, { unique: true });
+loginAttemptSchema.index({ lockedUntil: -1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the key is currently locked
+loginAttemptSchema.methods.isLocked = function () {
+  return !!this.lockedUntil && this.lockedUntil > Date.now();
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One entry per successful login, kept as the account's security trail
+const loginHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Session started by this login (revoked if reported)
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    deviceId: String,
+    deviceName: String,
+    deviceType: String,
+    browser: String,
+    os: String,
+    userAgent: String,
+    ipAddress: String,
+    // True when this device/IP combination had never logged in before
+    isNewDevice: {
+      type: Boolean,
+      default: false,
+    },
+    // Hash of the "this wasn't me" link sent with the login alert
+    reportTokenHash: {
+      type: String,
+      select: false,
+    },
+    reportTokenExpire: {
+      type: Date,
+      select: false,
+    },
+    reportedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, deviceId: 1, ipAddress: 1 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { paginateQuery } = require('../utils/pagination');
 
 const messageSchema = new mongoose.Schema(
   {
@@ -21,7 +22,7 @@ const messageSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['text', 'image', 'video', 'audio', 'file', 'sticker', 'emoji', 'call'],
+      enum: ['text', 'image', 'video', 'audio', 'file', 'sticker', 'emoji', 'call', 'post'],
       default: 'text',
     },
     // ✅ FIXED: Media attachment - Using Mixed type for flexibility
@@ -34,6 +35,11 @@ const messageSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: null,
     },
+    // Post shared in the chat (type 'post')
+    sharedPost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+    },
     // Call data (for call history)
     callData: {
       type: mongoose.Schema.Types.Mixed,
@@ -137,31 +143,51 @@ messageSchema.statics.getUnreadCount = async function (userId) {
   });
 };
 
-// Get conversation
-messageSchema.statics.getConversation = async function (
-  user1Id,
-  user2Id,
-  page = 1,
-  limit = 50
-) {
-  const skip = (page - 1) * limit;
-  
-  const messages = await this.find({
+// Newest first; _id breaks ties for cursors
+messageSchema.statics.CONVERSATION_SORT = { createdAt: -1, _id: -1 };
+
+const findConversation = (Model, user1Id, user2Id) => {
+  return Model.find({
     $or: [
       { sender: user1Id, receiver: user2Id },
       { sender: user2Id, receiver: user1Id },
     ],
     deletedFor: { $nin: [user1Id, user2Id] },
   })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
     .populate('sender', 'firstName lastName avatar username isAdmin')
     .populate('receiver', 'firstName lastName avatar username isAdmin')
     .populate('replyTo', 'content sender type')
+    .populate('sharedPost', 'caption media type author')
     .populate('reactions.user', 'firstName lastName avatar');
+};
+
+// Get conversation
+messageSchema.statics.getConversation = async function (
+  user1Id,
+  user2Id,
+  page = 1,
+  limit = 50
+) {
+  const skip = (page - 1) * limit;
+  
+  const messages = await findConversation(this, user1Id, user2Id)
+    .sort(this.CONVERSATION_SORT)
+    .skip(skip)
+    .limit(limit);
   
   return messages.reverse();
 };
 
+// Get a conversation page from a cursor (utils/pagination). "next" goes
+// to older messages. Messages are returned oldest first, like getConversation.
+messageSchema.statics.getConversationPage = async function (user1Id, user2Id, limit, cursor) {
+  const result = await paginateQuery(
+    findConversation(this, user1Id, user2Id),
+    this.CONVERSATION_SORT,
+    { limit, cursor }
+  );
+
+  return { ...result, items: result.items.reverse() };
+};
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
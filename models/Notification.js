@@ -17,6 +17,7 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       enum: [
         'like',           // Someone liked your post
+        'share',          // Someone shared your post
         'comment',        // Someone commented on your post
         'reply',          // Someone replied to your comment
         'message',        // New message received
@@ -25,6 +26,9 @@ const notificationSchema = new mongoose.Schema(
         'achievement',    // New achievement unlocked
         'tournament',     // Tournament update
         'admin_post',     // Admin created a new post
+        'login_approval', // Login from an untrusted device is waiting for approval
+        'login_alert',    // Sign-in from a new device/IP
+        'data_export',    // Personal data export is ready to download
       ],
       required: true,
     },
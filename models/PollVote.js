@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A user's vote in a post's poll. One per user and poll - changing the
+// vote updates it in place (services/pollService).
+const pollVoteSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Indexes into post.poll.options
+    options: {
+      type: [Number],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 
+// Optional poll on a post. Votes live in PollVote (one per user); the
+// counts here are kept in step by services/pollService.
+const pollSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: [true, 'Poll question is required'],
+      maxlength: [300, 'Poll question cannot exceed 300 characters'],
+    },
+    options: [
+      {
+        text: {
+          type: String,
+          required: true,
+          maxlength: [100, 'Poll options cannot exceed 100 characters'],
+        },
+        votesCount: { type: Number, default: 0 },
+      },
+    ],
+    allowMultiple: { type: Boolean, default: false },
+    closesAt: Date,
+    // People who voted (a vote can pick several options)
+    votersCount: { type: Number, default: 0 },
+  },
+  {
+    _id: false,
+    // Results are hidden until the viewer votes - responses that know the
+    // viewer go through pollService.serializePoll instead
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.votersCount;
+        (ret.options || []).forEach((option) => delete option.votesCount);
+        return ret;
+      },
+    },
+  }
+);
+
 const postSchema = new mongoose.Schema(
   {
     author: {
@@ -91,6 +129,9 @@ const postSchema = new mongoose.Schema(
     commentsCount: { type: Number, default: 0 },
     sharesCount: { type: Number, default: 0 },
     viewsCount: { type: Number, default: 0 },
+    // Recent view rollup runs already counted in viewsCount
+    // (services/postViewService)
+    viewRollups: { type: [String], select: false },
     // Reaction counts
     reactionCounts: {
       like: { type: Number, default: 0 },
@@ -111,6 +152,13 @@ const postSchema = new mongoose.Schema(
       default: 'published',
     },
     scheduledFor: Date,
+    // Set the first time the post goes live; publishing it again after
+    // unpublishing doesn't rerun the publish side effects
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    poll: pollSchema,
   },
   {
     timestamps: true,
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One saved version of a post's editable content. A revision is written on
+// create and on every edit (services/postRevisionService) and is never
+// changed afterwards.
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+      immutable: true,
+    },
+    // 1, 2, 3... per post
+    revision: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Who made this edit
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true,
+    },
+    // The post's editable fields after this edit
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+    // Fields that differ from the previous revision (empty for the first)
+    changedFields: {
+      type: [String],
+      immutable: true,
+    },
+    // Set when the edit restored an older revision
+    restoredFrom: {
+      type: Number,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+postRevisionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Post revisions cannot be modified');
+  }
+});
+
+postRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+  throw new Error('Post revisions cannot be modified');
+});
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One view of a post: every impression from the same viewer within the
+// dedupe window (services/postViewService) is folded into it. Kept out of
+// the Post document so popular posts don't grow without bound.
+const postViewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Logged-in viewer, if any
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // "user:<id>" or "anon:<hash of IP + user agent>"
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    impressions: {
+      type: Number,
+      default: 1,
+    },
+    // Total reported dwell time and how many impressions reported one
+    dwellMs: {
+      type: Number,
+      default: 0,
+    },
+    dwellSamples: {
+      type: Number,
+      default: 0,
+    },
+    // Dedupe window the view started in (Date.now() / window length). A
+    // viewer starts at most one view per window, so this keeps concurrent
+    // first impressions from both starting one.
+    bucket: {
+      type: Number,
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set once the view is counted in Post.viewsCount
+    rolledUp: {
+      type: Boolean,
+      default: false,
+    },
+    // Rollup run that claimed the view, and when (stale claims are retried)
+    rollupId: {
+      type: String,
+      default: null,
+    },
+    claimedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+postViewSchema.index({ post: 1, viewerKey: 1, bucket: 1 }, { unique: true });
+postViewSchema.index({ user: 1, post: 1 });
+postViewSchema.index({ post: 1, viewerKey: 1, createdAt: -1 });
+postViewSchema.index({ rolledUp: 1, rollupId: 1 });
+postViewSchema.index({ rollupId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Request counters for the MongoDB rate limit store (shared by all instances)
+const rateLimitSchema = new mongoose.Schema({
+  // "<policy>:<user|ip>:<id>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
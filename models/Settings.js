@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// One entry per logged-in device. The refresh token hash never leaves the server.
+const sessionSchema = new mongoose.Schema({
+  deviceId: String,
+  deviceName: String,
+  deviceType: String,
+  browser: String,
+  os: String,
+  userAgent: String,
+  location: String,
+  ipAddress: String,
+  loginTime: {
+    type: Date,
+    default: Date.now
+  },
+  lastActive: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  refreshTokenHash: String
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  }
+});
+
 const settingsSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -124,6 +153,7 @@ const settingsSchema = new mongoose.Schema({
       default: false
     },
     trustedDevices: [{
+      deviceId: String,
       deviceName: String,
       deviceType: String,
       lastUsed: Date,
@@ -132,12 +162,7 @@ const settingsSchema = new mongoose.Schema({
         default: Date.now
       }
     }],
-    activeSessions: [{
-      deviceName: String,
-      location: String,
-      ipAddress: String,
-      loginTime: Date
-    }]
+    activeSessions: [sessionSchema]
   },
 
   // ACCOUNT SETTINGS
@@ -199,6 +224,8 @@ const settingsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+settingsSchema.index({ 'security.activeSessions._id': 1 });
+
 // Update lastUpdated on save
 settingsSchema.pre('save', function() {
   this.lastUpdated = Date.now();
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One share of a post: a repost to the feed (optionally quoted), a story
+// that shows the post, or a DM carrying it (services/shareService).
+const shareSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    quote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Quote cannot exceed 500 characters'],
+    },
+    target: {
+      type: String,
+      enum: ['feed', 'story', 'dm'],
+      default: 'feed',
+    },
+    // Created for story / DM shares
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // The user's first share of this post - the one that earns the author
+    // POST_SHARED points
+    firstShare: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareSchema.index({ post: 1, createdAt: -1 });
+shareSchema.index({ user: 1, createdAt: -1 });
+shareSchema.index(
+  { post: 1, user: 1 },
+  { unique: true, partialFilterExpression: { firstShare: true } }
+);
+
+// Newest first; _id breaks ties for cursors
+shareSchema.statics.SHARE_SORT = { createdAt: -1, _id: -1 };
+
+module.exports = mongoose.model('Share', shareSchema);
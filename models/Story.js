@@ -12,7 +12,7 @@ const storySchema = new mongoose.Schema(
     // Story Type
     storyType: {
       type: String,
-      enum: ['media', 'text', 'mixed'], // media = images/videos, text = text-only, mixed = both
+      enum: ['media', 'text', 'mixed', 'post'], // media = images/videos, text = text-only, mixed = both, post = shared post
       default: 'media',
     },
 
@@ -221,6 +221,12 @@ const storySchema = new mongoose.Schema(
       ],
     },
 
+    // Post shared to the story (storyType 'post')
+    sharedPost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+    },
+
     // Music (Optional)
     music: {
       title: String,
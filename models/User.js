@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { roleHasPermission, getRolePermissions } = require('../config/permissions');
+const passwordPolicy = require('../config/passwordPolicy');
 
 const userSchema = new mongoose.Schema(
   {
@@ -85,6 +88,9 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Self-service deletion: the account is purged once the grace period ends
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
     stats: {
       totalPosts: { type: Number, default: 0 },
       totalComments: { type: Number, default: 0 },
@@ -107,10 +113,36 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Hashes of recent passwords (newest last), for the password reuse check
+    passwordHistory: {
+      type: [
+        {
+          _id: false,
+          hash: String,
+          changedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Set when a login is reported as "this wasn't me"; blocks login until reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
     verificationToken: String,
     verificationTokenExpire: Date,
+    verificationEmailSentAt: Date,
+    // TOTP two-factor authentication - on when secret is set
+    // (Settings.security.twoFactorEnabled mirrors it for the settings screen)
+    twoFactor: {
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false, default: undefined },
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -133,6 +165,11 @@ userSchema.virtual('isAdmin').get(function() {
   return this.role === 'admin';
 });
 
+// Virtual for the role's capabilities
+userSchema.virtual('permissions').get(function() {
+  return getRolePermissions(this.role);
+});
+
 // Virtual for isModerator
 userSchema.virtual('isModerator').get(function() {
   return this.role === 'moderator';
@@ -145,6 +182,7 @@ userSchema.virtual('isModerator').get(function() {
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ username: 1, isActive: 1 });
 userSchema.index({ 'stats.points': -1 }); // For leaderboards
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true }); // For the purge job
 
 // ============================================
 // MIDDLEWARE
@@ -167,6 +205,29 @@ userSchema.pre('save', async function () {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.$locals.passwordChanged = true;
+});
+
+// MIDDLEWARE 3: Remember the new password hash (after save, so an unselected
+// history is appended to rather than overwritten)
+userSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  const historyCount = passwordPolicy.historyCount;
+  if (historyCount <= 0) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        passwordHistory: {
+          $each: [{ hash: this.password, changedAt: new Date() }],
+          $slice: -historyCount,
+        },
+      },
+    }
+  );
 });
 
 // ============================================
@@ -178,6 +239,89 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check a new password against the current one and recent ones
+// (load the user with +password +passwordHistory)
+userSchema.methods.isPasswordReused = async function (newPassword) {
+  const historyCount = passwordPolicy.historyCount;
+  if (historyCount <= 0) return false;
+
+  const hashes = (this.passwordHistory || []).slice(-historyCount).map((entry) => entry.hash);
+  if (this.password && !hashes.includes(this.password)) {
+    hashes.push(this.password);
+  }
+
+  for (const hash of hashes) {
+    if (hash && (await bcrypt.compare(newPassword, hash))) return true;
+  }
+  return false;
+};
+
+// Generate password reset token (returns raw token, stores sha256 hash)
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  this.resetPasswordExpire = Date.now() + 30 * 60 * 1000; // 30 minutes
+
+  return resetToken;
+};
+
+// Generate email verification token (returns raw token, stores sha256 hash)
+userSchema.methods.getVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.verificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  this.verificationTokenExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.verificationEmailSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Generate one-time recovery codes (returns plain codes, stores bcrypt hashes)
+userSchema.methods.generateRecoveryCodes = async function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const salt = await bcrypt.genSalt(10);
+  this.twoFactor.recoveryCodes = await Promise.all(
+    codes.map((code) => bcrypt.hash(code, salt))
+  );
+
+  return codes;
+};
+
+// Consume a recovery code (requires +twoFactor.recoveryCodes to be selected).
+// The code is pulled with a conditional update, so two requests racing
+// with the same code can't both use it.
+userSchema.methods.useRecoveryCode = async function (code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const hashes = this.twoFactor?.recoveryCodes || [];
+
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(normalized, hashes[i])) {
+      const hash = hashes[i];
+      const result = await this.model('User').updateOne(
+        { _id: this._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      if (result.modifiedCount !== 1) return false;
+
+      this.twoFactor.recoveryCodes.splice(i, 1);
+      return true;
+    }
+  }
+
+  return false;
+};
+
 // Record user login activity
 userSchema.methods.recordLogin = async function () {
   return await this.model('User').findByIdAndUpdate(
@@ -218,4 +362,14 @@ userSchema.methods.hasModeratorAccess = function () {
   return this.role === 'admin' || this.role === 'moderator';
 };
 
+// Check a capability from the permission matrix (config/permissions.js)
+userSchema.methods.hasPermission = function (capability) {
+  return roleHasPermission(this.role, capability);
+};
+
+// Deleted but still inside the grace period (logging in reactivates it)
+userSchema.methods.isPendingDeletion = function () {
+  return !this.isActive && !!this.deletionScheduledFor && this.deletionScheduledFor > Date.now();
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -13,7 +13,7 @@ const {
   getAchievementStats,
 } = require('../controllers/achievementController');
 
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const { uploadImage } = require('../config/cloudinary');
 
 // ============================================
@@ -40,18 +40,18 @@ router.get('/:id', getAchievement);
 // ============================================
 
 // Create new achievement
-router.post('/', protect, adminOnly, uploadImage.single('coverImage'), createAchievement);
+router.post('/', protect, requirePermission('achievements.manage', { action: 'createAchievement' }), uploadImage.single('coverImage'), createAchievement);
 
 // Update achievement
-router.put('/:id', protect, adminOnly, uploadImage.single('coverImage'), updateAchievement);
+router.put('/:id', protect, requirePermission('achievements.manage', { action: 'updateAchievement' }), uploadImage.single('coverImage'), updateAchievement);
 
 // Delete achievement
-router.delete('/:id', protect, adminOnly, deleteAchievement);
+router.delete('/:id', protect, requirePermission('achievements.manage', { action: 'deleteAchievement' }), deleteAchievement);
 
 // Add image to gallery
-router.post('/:id/gallery', protect, adminOnly, uploadImage.single('image'), addToGallery);
+router.post('/:id/gallery', protect, requirePermission('achievements.manage', { action: 'addToGallery' }), uploadImage.single('image'), addToGallery);
 
 // Remove image from gallery
-router.delete('/:id/gallery/:imageId', protect, adminOnly, removeFromGallery);
+router.delete('/:id/gallery/:imageId', protect, requirePermission('achievements.manage', { action: 'removeFromGallery' }), removeFromGallery);
 
 module.exports = router;
\ No newline at end of file
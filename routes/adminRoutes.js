@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLoginLocks,
+  clearLoginLock,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  startImpersonation,
+  getImpersonations,
+  endImpersonation,
+  getAuditLogs,
+  exportAuditLogs,
+  getFeedConfig,
+  updateFeedConfig,
+} = require('../controllers/adminController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// All admin routes require authentication
+router.use(protect);
+
+// Login lockouts (brute-force protection)
+router.get('/locks', requirePermission('security.manage'), getLoginLocks);
+router.delete('/locks/:id', requirePermission('security.manage', { action: 'clearLoginLock' }), clearLoginLock);
+
+// Admin/moderator invitations
+router.post('/invites', requirePermission('users.invite', { action: 'createInvite' }), createInvite);
+router.get('/invites', requirePermission('users.invite'), getInvites);
+router.delete('/invites/:id', requirePermission('users.invite', { action: 'revokeInvite' }), revokeInvite);
+
+// Read-only "view as user" sessions
+router.post('/impersonations', requirePermission('users.impersonate', { action: 'startImpersonation' }), startImpersonation);
+router.get('/impersonations', requirePermission('users.impersonate'), getImpersonations);
+router.delete('/impersonations/:id', requirePermission('users.impersonate', { action: 'endImpersonation' }), endImpersonation);
+
+// Audit log of admin/moderator actions
+router.get('/audit', requirePermission('audit.view'), getAuditLogs);
+router.get('/audit/export', requirePermission('audit.view'), exportAuditLogs);
+
+// "For you" feed ranking weights
+router.get('/feed-config', requirePermission('feed.manage'), getFeedConfig);
+router.put('/feed-config', requirePermission('feed.manage', { action: 'updateFeedConfig' }), updateFeedConfig);
+
+module.exports = router;
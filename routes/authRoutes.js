@@ -3,6 +3,7 @@ const {
   register,
   login,
   logout,
+  refreshToken,
   getMe,
   updateProfile,
   updateAvatar,
@@ -10,9 +11,44 @@ const {
   forgotPassword,
   resetPassword,
   deleteAccount,
+  verifyEmail,
+  resendVerification,
+  reportLogin,
+  unlockAccount,
   registerAdmin, // ADD THIS IMPORT
+  getInvite,
+  registerWithInvite,
+  acceptInvite,
+  getPasswordPolicy,
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require('../controllers/twoFactorController');
+const {
+  getPendingApprovals,
+  approveLogin,
+  denyLogin,
+  approveLoginByEmail,
+  completeApprovedLogin,
+} = require('../controllers/loginApprovalController');
+const {
+  requestExport,
+  getExports,
+  downloadExport,
+} = require('../controllers/dataExportController');
 const { protect } = require('../middleware/authMiddleware');
+const {
+  loginRateLimiter,
+  registerRateLimiter,
+  passwordResetRateLimiter,
+  accountRecoveryRateLimiter,
+  dataExportRateLimiter,
+  uploadRateLimiter,
+} = require('../middleware/rateLimiter');
 const { uploadImage } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -22,19 +58,50 @@ const router = express.Router();
 // ============================================
 
 // Register new user
-router.post('/register', register);
+router.post('/register', registerRateLimiter, register);
 
-// Register admin user (protected by secret key)
-router.post('/register-admin', registerAdmin); // ADD THIS LINE
+// Register the first admin user (protected by secret key, disabled once an admin exists)
+router.post('/register-admin', registerRateLimiter, registerAdmin); // ADD THIS LINE
+
+// Admin/moderator invitations (token from the invite email)
+router.get('/invites/:token', registerRateLimiter, getInvite);
+router.post('/invites/:token/register', registerRateLimiter, registerWithInvite);
 
 // Login user
-router.post('/login', login);
+router.post('/login', loginRateLimiter, login);
+
+// Complete login with a 2FA code (after /login returned twoFactorRequired)
+router.post('/2fa/verify', loginRateLimiter, verifyTwoFactorLogin);
+
+// Finish a login held for approval (poll until approved/denied)
+router.post('/login-approvals/complete', completeApprovedLogin);
+
+// Approve a held login from the emailed link
+router.post('/login-approvals/email/:token', approveLoginByEmail);
+
+// Unlock account from the lockout email
+router.post('/unlock/:token', accountRecoveryRateLimiter, unlockAccount);
+
+// "This wasn't me" link from a login alert email
+router.post('/login-alerts/:token/report', accountRecoveryRateLimiter, reportLogin);
+
+// Download a data export from the notification/email link
+router.get('/export/:id/download/:token', downloadExport);
+
+// Refresh access token (rotates refresh token)
+router.post('/refresh', refreshToken);
+
+// Verify email address
+router.get('/verify/:token', verifyEmail);
+
+// Password rules (length, character classes, reuse)
+router.get('/password-policy', getPasswordPolicy);
 
 // Forgot password
-router.post('/forgotpassword', forgotPassword);
+router.post('/forgotpassword', passwordResetRateLimiter, forgotPassword);
 
 // Reset password
-router.put('/resetpassword/:resetToken', resetPassword);
+router.put('/resetpassword/:resetToken', passwordResetRateLimiter, resetPassword);
 
 // ============================================
 // PROTECTED ROUTES (Authentication required)
@@ -46,11 +113,14 @@ router.get('/me', protect, getMe);
 // Logout user
 router.get('/logout', protect, logout);
 
+// Resend verification email
+router.post('/verify/resend', protect, resendVerification);
+
 // Update profile
 router.put('/profile', protect, updateProfile);
 
 // Update avatar
-router.put('/avatar', protect, uploadImage.single('avatar'), updateAvatar);
+router.put('/avatar', protect, uploadRateLimiter, uploadImage.single('avatar'), updateAvatar);
 
 // Update password
 router.put('/password', protect, updatePassword);
@@ -58,4 +128,31 @@ router.put('/password', protect, updatePassword);
 // Delete account
 router.delete('/account', protect, deleteAccount);
 
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================
+
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// ============================================
+// LOGIN APPROVALS (new device sign-ins)
+// ============================================
+
+router.get('/login-approvals', protect, getPendingApprovals);
+router.post('/login-approvals/:id/approve', protect, approveLogin);
+router.post('/login-approvals/:id/deny', protect, denyLogin);
+
+// Accept an admin/moderator invite with the current account
+router.post('/invites/:token/accept', protect, acceptInvite);
+
+// ============================================
+// PERSONAL DATA EXPORT
+// ============================================
+
+router.post('/export', protect, dataExportRateLimiter, requestExport);
+router.get('/export', protect, getExports);
+
 module.exports = router;
\ No newline at end of file
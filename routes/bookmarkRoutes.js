@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  saveBookmark,
+  removeBookmark,
+  getBookmarks,
+  getCollections,
+} = require('../controllers/bookmarkController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Get saved posts (?collection= for one collection)
+router.get('/', protect, getBookmarks);
+
+// Get collections
+router.get('/collections', protect, getCollections);
+
+// Save a post / move it to another collection
+router.put('/:postId', protect, saveBookmark);
+
+// Unsave a post
+router.delete('/:postId', protect, removeBookmark);
+
+module.exports = router;
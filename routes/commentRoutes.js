@@ -12,14 +12,15 @@ const {
   getCommentStats,
 } = require('../controllers/commentController');
 
-const { protect, adminOnly, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, requirePermission, optionalAuth, verifiedOnly } = require('../middleware/authMiddleware');
+const { reactionRateLimiter } = require('../middleware/rateLimiter');
 
 // ============================================
 // COMMENT ROUTES
 // ============================================
 
 // Create comment on a post
-router.post('/posts/:postId/comments', protect, createComment);
+router.post('/posts/:postId/comments', protect, verifiedOnly, createComment);
 
 // Get all comments for a post
 router.get('/posts/:postId/comments', optionalAuth, getPostComments);
@@ -34,15 +35,15 @@ router.put('/comments/:id', protect, updateComment);
 router.delete('/comments/:id', protect, deleteComment);
 
 // Like/Unlike comment
-router.put('/comments/:id/like', protect, toggleCommentLike);
+router.put('/comments/:id/like', protect, reactionRateLimiter, toggleCommentLike);
 
-// Pin/Unpin comment (Admin only)
-router.put('/comments/:id/pin', protect, adminOnly, togglePinComment);
+// Pin/Unpin comment (Admin/Moderator)
+router.put('/comments/:id/pin', protect, requirePermission('comments.pin', { action: 'togglePinComment' }), togglePinComment);
 
 // Report comment
 router.put('/comments/:id/report', protect, reportComment);
 
 // Get comment stats (Admin only)
-router.get('/comments/:id/stats', protect, adminOnly, getCommentStats);
+router.get('/comments/:id/stats', protect, requirePermission('analytics.view'), getCommentStats);
 
 module.exports = router;
\ No newline at end of file
@@ -11,13 +11,14 @@ const {
   getMyEvents,
   getMyOrganizedEvents
 } = require('../controllers/eventController');
-const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, verifiedOnly } = require('../middleware/authMiddleware');
+const { uploadRateLimiter } = require('../middleware/rateLimiter');
 const { uploadImage } = require('../config/cloudinary');
 
 // Public routes (with optional auth)
 router.route('/')
   .get(optionalAuth, getEvents)
-  .post(protect, uploadImage.single('coverPhoto'), createEvent);
+  .post(protect, uploadRateLimiter, uploadImage.single('coverPhoto'), createEvent);
 
 // My events routes
 router.route('/my/attending').get(protect, getMyEvents);
@@ -26,11 +27,11 @@ router.route('/my/organizing').get(protect, getMyOrganizedEvents);
 // Single event routes
 router.route('/:id')
   .get(optionalAuth, getEvent)
-  .put(protect, uploadImage.single('coverPhoto'), updateEvent)
+  .put(protect, uploadRateLimiter, uploadImage.single('coverPhoto'), updateEvent)
   .delete(protect, deleteEvent);
 
 // Event interactions
 router.route('/:id/respond').put(protect, respondToEvent);
-router.route('/:id/discussion').post(protect, addDiscussionComment);
+router.route('/:id/discussion').post(protect, verifiedOnly, addDiscussionComment);
 
 module.exports = router;
\ No newline at end of file
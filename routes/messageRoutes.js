@@ -15,7 +15,13 @@ const {
   getUsersList,
   createCallRecord, // ✅ NEW FUNCTION
 } = require('../controllers/messageController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission, verifiedOnly } = require('../middleware/authMiddleware');
+const {
+  messageRateLimiter,
+  conversationsRateLimiter,
+  searchRateLimiter,
+  reactionRateLimiter,
+} = require('../middleware/rateLimiter');
 const { uploadImage, uploadMediaWithAudio } = require('../config/cloudinary');
 
 // ============================================
@@ -183,16 +189,16 @@ router.get('/debug/check-user-messages/:userId', protect, async (req, res) => {
 // ============================================
 
 // Send message with optional media
-router.post('/', protect, uploadMediaWithAudio.single('media'), sendMessage);
+router.post('/', protect, messageRateLimiter, verifiedOnly, uploadMediaWithAudio.single('media'), sendMessage);
 
 // ✅ NEW: Create call record (for call history)
 router.post('/call-record', protect, createCallRecord);
 
 // Get all conversations
-router.get('/conversations', protect, getAllConversations);
+router.get('/conversations', protect, conversationsRateLimiter, getAllConversations);
 
 // Get list of users (ADMIN ONLY)
-router.get('/users', protect, adminOnly, getUsersList);
+router.get('/users', protect, requirePermission('users.list'), getUsersList);
 
 // Get conversation with specific user
 router.get('/conversation/:userId', protect, getConversation);
@@ -201,16 +207,16 @@ router.get('/conversation/:userId', protect, getConversation);
 router.get('/unread-count', protect, getUnreadCount);
 
 // Search messages
-router.get('/search', protect, searchMessages);
+router.get('/search', protect, searchRateLimiter, searchMessages);
 
 // Mark messages as read
 router.put('/mark-read/:userId', protect, markMessagesAsRead);
 
 // Add reaction to message
-router.post('/:id/reaction', protect, addReaction);
+router.post('/:id/reaction', protect, reactionRateLimiter, addReaction);
 
 // Remove reaction from message
-router.delete('/:id/reaction', protect, removeReaction);
+router.delete('/:id/reaction', protect, reactionRateLimiter, removeReaction);
 
 // ============================================
 // DELETE ROUTES (Order matters!)
@@ -6,14 +6,14 @@ const {
   getStatsHistory,
   getGrowthAnalytics,
 } = require('../controllers/platformStatsController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 // Public routes
 router.get('/', getPlatformStats);
 router.get('/growth', getGrowthAnalytics);
 
 // Admin-only routes
-router.post('/refresh', protect, adminOnly, refreshPlatformStats);
-router.get('/history', protect, adminOnly, getStatsHistory);
+router.post('/refresh', protect, requirePermission('analytics.refresh', { action: 'refreshPlatformStats' }), refreshPlatformStats);
+router.get('/history', protect, requirePermission('analytics.view'), getStatsHistory);
 
 module.exports = router;
\ No newline at end of file
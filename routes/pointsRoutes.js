@@ -11,7 +11,7 @@ const {
   getPointsConfig,
   awardBadge
 } = require('../controllers/pointsController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 // ============================================
 // PUBLIC ROUTES
@@ -47,9 +47,9 @@ router.post('/check-badges', protect, checkBadges);
 // ============================================
 
 // Award points to user
-router.post('/award', protect, adminOnly, awardPoints);
+router.post('/award', protect, requirePermission('points.award', { action: 'awardPoints' }), awardPoints);
 
 // Manually award badge to user
-router.post('/award-badge', protect, adminOnly, awardBadge);
+router.post('/award-badge', protect, requirePermission('points.award', { action: 'awardBadge' }), awardBadge);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, optionalAuth, adminOnly } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, requirePermission, verifiedOnly } = require('../middleware/authMiddleware');
+const { reactionRateLimiter, viewRateLimiter, messageRateLimiter } = require('../middleware/rateLimiter');
 const { uploadMedia } = require('../config/cloudinary');
 
 const {
@@ -10,8 +11,20 @@ const {
   updatePost,
   deletePost,
   sharePost,
+  getPostShares,
+  votePostPoll,
+  changePostPollVote,
   getPostStats,
+  recordPostView,
+  recordPostViews,
   toggleLike,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost,
+  getDrafts,
+  getPostRevisions,
+  diffPostRevisions,
+  restorePostRevision,
   // New enhanced routes
   reactToPost,
   reactToMedia,
@@ -26,6 +39,11 @@ const {
   deleteComment,
 } = require('../controllers/postController');
 
+// A DM share sends a message, so it gets the same checks as POST /api/messages
+const forDmShare = (middleware) => (req, res, next) => (
+  req.body?.target === 'dm' ? middleware(req, res, next) : next()
+);
+
 // ============================================
 // POST ROUTES
 // ============================================
@@ -34,38 +52,70 @@ const {
 router.get('/', optionalAuth, getPosts);
 
 // Create new post (Admin only)
-router.post('/', protect, adminOnly, uploadMedia.array('media', 10), createPost);
+router.post('/', protect, requirePermission('posts.create', { action: 'createPost' }), uploadMedia.array('media', 10), createPost);
+
+// Get scheduled posts (Admin only - MUST be before /:id)
+router.get('/scheduled', protect, requirePermission('posts.schedule'), getScheduledPosts);
+
+// Get drafts (Admin only - MUST be before /:id)
+router.get('/drafts', protect, requirePermission('posts.edit'), getDrafts);
+
+// Record a batch of impressions (MUST be before /:id routes)
+router.post('/views', optionalAuth, viewRateLimiter, recordPostViews);
 
 // Get single post
 router.get('/:id', optionalAuth, getPost);
 
 // Update post (Admin only)
-router.put('/:id', protect, adminOnly, updatePost);
+router.put('/:id', protect, requirePermission('posts.edit', { action: 'updatePost' }), updatePost);
 
 // Delete post (Admin only)
-router.delete('/:id', protect, adminOnly, deletePost);
+router.delete('/:id', protect, requirePermission('posts.delete', { action: 'deletePost' }), deletePost);
 
 // Share post
-router.put('/:id/share', protect, sharePost);
+router.put('/:id/share', protect, reactionRateLimiter, forDmShare(messageRateLimiter), forDmShare(verifiedOnly), sharePost);
+
+// Get who shared a post
+router.get('/:id/shares', protect, getPostShares);
+
+// Vote in the post's poll / change your vote
+router.post('/:id/poll/vote', protect, reactionRateLimiter, votePostPoll);
+router.put('/:id/poll/vote', protect, reactionRateLimiter, changePostPollVote);
+
+// Record a view (deduplicated, with dwell time)
+router.post('/:id/view', optionalAuth, viewRateLimiter, recordPostView);
 
 // Like/Unlike post (ADD THIS LINE)
-router.put('/:id/like', protect, toggleLike);
+router.put('/:id/like', protect, reactionRateLimiter, toggleLike);
 
 // Get post stats (Admin only)
-router.get('/:id/stats', protect, adminOnly, getPostStats);
+router.get('/:id/stats', protect, requirePermission('analytics.view'), getPostStats);
+
+// Reschedule / cancel scheduled post (Admin only)
+router.put('/:id/schedule', protect, requirePermission('posts.schedule', { action: 'reschedulePost' }), reschedulePost);
+router.delete('/:id/schedule', protect, requirePermission('posts.schedule', { action: 'cancelScheduledPost' }), cancelScheduledPost);
+
+// ============================================
+// REVISION ROUTES (Admin only)
+// ============================================
+
+// Revision history, diff between two revisions, restore an older one
+router.get('/:id/revisions', protect, requirePermission('posts.edit'), getPostRevisions);
+router.get('/:id/revisions/diff', protect, requirePermission('posts.edit'), diffPostRevisions);
+router.post('/:id/revisions/:revision/restore', protect, requirePermission('posts.edit', { action: 'restorePostRevision' }), restorePostRevision);
 
 // ============================================
 // REACTION ROUTES
 // ============================================
 
 // React to post (like, love, haha, wow, sad, angry)
-router.put('/:id/react', protect, reactToPost);
+router.put('/:id/react', protect, reactionRateLimiter, reactToPost);
 
 // Get who reacted to post
 router.get('/:id/reactions', protect, getPostReactions);
 
 // React to specific media
-router.put('/:id/media/:mediaIndex/react', protect, reactToMedia);
+router.put('/:id/media/:mediaIndex/react', protect, reactionRateLimiter, reactToMedia);
 
 // Get who reacted to specific media
 router.get('/:id/media/:mediaIndex/reactions', protect, getMediaReactions);
@@ -75,20 +125,20 @@ router.get('/:id/media/:mediaIndex/reactions', protect, getMediaReactions);
 // ============================================
 
 // Comment on specific media
-router.post('/:id/media/:mediaIndex/comments', protect, commentOnMedia);
+router.post('/:id/media/:mediaIndex/comments', protect, verifiedOnly, commentOnMedia);
 
 // Get comments on specific media
 router.get('/:id/media/:mediaIndex/comments', protect, getMediaComments);
 
 // Like media comment
-router.put('/media-comments/:commentId/like', protect, likeMediaComment);
+router.put('/media-comments/:commentId/like', protect, reactionRateLimiter, likeMediaComment);
 
 // ============================================
 // TAGGING ROUTES
 // ============================================
 
 // Tag user in media (Admin only)
-router.post('/:id/media/:mediaIndex/tag', protect, adminOnly, tagUserInMedia);
+router.post('/:id/media/:mediaIndex/tag', protect, requirePermission('posts.tag_media', { action: 'tagUserInMedia' }), tagUserInMedia);
 
 // Remove tag from media (Admin or tagged user)
 router.delete('/:id/media/:mediaIndex/tag/:userId', protect, removeTagFromMedia);
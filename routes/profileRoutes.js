@@ -12,7 +12,8 @@ const {
   getProfileAnalytics,
   searchProfiles,
 } = require('../controllers/profileController');
-const { protect, adminOnly, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, requirePermission, optionalAuth } = require('../middleware/authMiddleware');
+const { searchRateLimiter, uploadRateLimiter } = require('../middleware/rateLimiter');
 const { uploadImage } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -22,7 +23,7 @@ const router = express.Router();
 // ============================================
 
 // Search profiles
-router.get('/search', searchProfiles);
+router.get('/search', searchRateLimiter, searchProfiles);
 
 // Get current user's profile (PLACE THIS BEFORE :identifier)
 router.get('/me', protect, getMyProfile);
@@ -31,21 +32,21 @@ router.get('/me', protect, getMyProfile);
 router.put('/me', protect, updateProfile);
 
 // Update cover photo
-router.put('/me/cover', protect, uploadImage.single('coverPhoto'), updateCoverPhoto);
+router.put('/me/cover', protect, uploadRateLimiter, uploadImage.single('coverPhoto'), updateCoverPhoto);
 
 // UPDATE AVATAR PHOTO - ADD THIS LINE
-router.put('/me/avatar', protect, uploadImage.single('avatar'), updateAvatar);
+router.put('/me/avatar', protect, uploadRateLimiter, uploadImage.single('avatar'), updateAvatar);
 
 // Gallery management
-router.post('/me/gallery', protect, uploadImage.single('media'), addToGallery);
+router.post('/me/gallery', protect, uploadRateLimiter, uploadImage.single('media'), addToGallery);
 router.delete('/me/gallery/:imageId', protect, removeFromGallery);
 
 // Featured posts management (Admin only)
-router.post('/me/featured-posts/:postId', protect, adminOnly, addFeaturedPost);
-router.delete('/me/featured-posts/:postId', protect, adminOnly, removeFeaturedPost);
+router.post('/me/featured-posts/:postId', protect, requirePermission('profiles.feature_posts', { action: 'addFeaturedPost' }), addFeaturedPost);
+router.delete('/me/featured-posts/:postId', protect, requirePermission('profiles.feature_posts', { action: 'removeFeaturedPost' }), removeFeaturedPost);
 
 // Get profile analytics (Admin only)
-router.get('/:identifier/analytics', protect, adminOnly, getProfileAnalytics);
+router.get('/:identifier/analytics', protect, requirePermission('analytics.view'), getProfileAnalytics);
 
 // Get any profile by username or ID (must be LAST)
 router.get('/:identifier', optionalAuth, getProfile);
@@ -12,7 +12,15 @@ const {
   muteUser,
   unmuteUser,
   getActiveSessions,
-  removeSession
+  removeSession,
+  removeAllSessions,
+  getTrustedDevices,
+  removeTrustedDevice,
+  getLoginHistory,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  getImpersonationHistory
 } = require('../controllers/settingsController');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -48,9 +56,31 @@ router.route('/mute/:userId')
 
 // Sessions management
 router.route('/sessions')
-  .get(getActiveSessions);
+  .get(getActiveSessions)
+  .delete(removeAllSessions);
 
 router.route('/sessions/:sessionId')
   .delete(removeSession);
 
+// Trusted devices (skip login approval)
+router.route('/trusted-devices')
+  .get(getTrustedDevices);
+
+router.route('/trusted-devices/:deviceId')
+  .delete(removeTrustedDevice);
+
+// Login history (security trail)
+router.route('/login-history').get(getLoginHistory);
+
+// Personal access tokens (scripts and integrations)
+router.route('/access-tokens')
+  .get(getAccessTokens)
+  .post(createAccessToken);
+
+router.route('/access-tokens/:tokenId')
+  .delete(revokeAccessToken);
+
+// Admin "view as user" sessions on my account (audit trail)
+router.route('/impersonations').get(getImpersonationHistory);
+
 module.exports = router;
\ No newline at end of file
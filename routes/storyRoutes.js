@@ -16,7 +16,8 @@ const {
   getHighlights,
   reportStory,
 } = require('../controllers/storyController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission, verifiedOnly } = require('../middleware/authMiddleware');
+const { reactionRateLimiter } = require('../middleware/rateLimiter');
 const { uploadVideo } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -32,9 +33,9 @@ router.get('/highlights', getHighlights);
 router.get('/', protect, getAllStories);
 router.get('/:id', protect, getStoryById);
 router.post('/:id/view', protect, recordView);
-router.post('/:id/like', protect, likeStory);
-router.delete('/:id/like', protect, unlikeStory);
-router.post('/:id/comment', protect, commentOnStory);
+router.post('/:id/like', protect, reactionRateLimiter, likeStory);
+router.delete('/:id/like', protect, reactionRateLimiter, unlikeStory);
+router.post('/:id/comment', protect, verifiedOnly, commentOnStory);
 router.delete('/:id/comment/:commentId', protect, deleteComment);
 router.post('/:id/share', protect, shareStory);
 router.post('/:id/poll/vote', protect, votePoll);
@@ -48,13 +49,13 @@ router.post('/:id/report', protect, reportStory);
 router.post(
   '/',
   protect,
-  adminOnly,
+  requirePermission('stories.create', { action: 'createStory' }),
   uploadVideo.array('media', 10), // Allow up to 10 files
   createStory
 );
 
-router.get('/:id/analytics', protect, adminOnly, getStoryAnalytics);
-router.put('/:id/highlight', protect, adminOnly, saveAsHighlight);
-router.delete('/:id', protect, adminOnly, deleteStory);
+router.get('/:id/analytics', protect, requirePermission('analytics.view'), getStoryAnalytics);
+router.put('/:id/highlight', protect, requirePermission('stories.highlight', { action: 'saveAsHighlight' }), saveAsHighlight);
+router.delete('/:id', protect, requirePermission('stories.delete', { action: 'deleteStory' }), deleteStory);
 
 module.exports = router;
\ No newline at end of file
@@ -13,7 +13,7 @@ const {
   getTournamentStatistics,
 } = require('../controllers/tournamentController');
 
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const { uploadImage } = require('../config/cloudinary');
 
 // ============================================
@@ -27,7 +27,7 @@ router.get('/upcoming', getUpcomingTournaments);
 router.get('/statistics', getTournamentStatistics);
 
 // Create tournament (Admin only)
-router.post('/', protect, adminOnly, uploadImage.single('coverImage'), createTournament);
+router.post('/', protect, requirePermission('tournaments.manage', { action: 'createTournament' }), uploadImage.single('coverImage'), createTournament);
 
 // Get all tournaments
 router.get('/', getTournaments);
@@ -36,18 +36,18 @@ router.get('/', getTournaments);
 router.get('/:id', getTournament);
 
 // Update tournament (Admin only)
-router.put('/:id', protect, adminOnly, uploadImage.single('coverImage'), updateTournament);
+router.put('/:id', protect, requirePermission('tournaments.manage', { action: 'updateTournament' }), uploadImage.single('coverImage'), updateTournament);
 
 // Delete tournament (Admin only)
-router.delete('/:id', protect, adminOnly, deleteTournament);
+router.delete('/:id', protect, requirePermission('tournaments.manage', { action: 'deleteTournament' }), deleteTournament);
 
 // Update performance (Admin only)
-router.put('/:id/performance', protect, adminOnly, updatePerformance);
+router.put('/:id/performance', protect, requirePermission('tournaments.manage', { action: 'updatePerformance' }), updatePerformance);
 
 // Add image to gallery (Admin only)
-router.post('/:id/gallery', protect, adminOnly, uploadImage.single('image'), addToGallery);
+router.post('/:id/gallery', protect, requirePermission('tournaments.manage', { action: 'addToGallery' }), uploadImage.single('image'), addToGallery);
 
 // Remove image from gallery (Admin only)
-router.delete('/:id/gallery/:imageId', protect, adminOnly, removeFromGallery);
+router.delete('/:id/gallery/:imageId', protect, requirePermission('tournaments.manage', { action: 'removeFromGallery' }), removeFromGallery);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminOnly, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, requirePermission, optionalAuth } = require('../middleware/authMiddleware');
+const { searchRateLimiter } = require('../middleware/rateLimiter');
 const {
   getTrending,
   searchByHashtag,
@@ -19,7 +20,7 @@ const {
 router.get('/', optionalAuth, getTrending);
 
 // Search posts and comments by hashtag
-router.get('/search/:hashtag', optionalAuth, searchByHashtag);
+router.get('/search/:hashtag', optionalAuth, searchRateLimiter, searchByHashtag);
 
 // Get hashtag details
 router.get('/:hashtag', optionalAuth, getHashtagDetails);
@@ -29,15 +30,15 @@ router.get('/:hashtag', optionalAuth, getHashtagDetails);
 // ============================================
 
 // Update trending data (manual trigger)
-router.post('/update', protect, adminOnly, updateTrending);
+router.post('/update', protect, requirePermission('trending.manage', { action: 'updateTrending' }), updateTrending);
 
 // Get trending statistics
-router.get('/admin/stats', protect, adminOnly, getTrendingStats);
+router.get('/admin/stats', protect, requirePermission('analytics.view'), getTrendingStats);
 
 // Delete trending hashtag
-router.delete('/:hashtag', protect, adminOnly, deleteTrendingHashtag);
+router.delete('/:hashtag', protect, requirePermission('trending.manage', { action: 'deleteTrendingHashtag' }), deleteTrendingHashtag);
 
 // Clean up old trending data
-router.post('/cleanup', protect, adminOnly, cleanupTrending);
+router.post('/cleanup', protect, requirePermission('trending.manage', { action: 'cleanupTrending' }), cleanupTrending);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+
+// The old settings toggle could turn security.twoFactorEnabled on without
+// enrolling a secret. Login now goes by the secret alone; this clears the
+// leftover flags so the settings screen shows the real state.
+async function clearStaleTwoFactorFlags() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('🔄 Clearing stale two-factor flags...');
+
+    const enrolled = await User.find({ 'twoFactor.secret': { $exists: true, $ne: null } }).distinct('_id');
+
+    const result = await Settings.updateMany(
+      { 'security.twoFactorEnabled': true, user: { $nin: enrolled } },
+      { $set: { 'security.twoFactorEnabled': false } }
+    );
+
+    console.log(`✅ Cleared ${result.modifiedCount} stale two-factor flags`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+clearStaleTwoFactorFlags();
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { GRACE_PERIOD_DAYS } = require('../services/accountDeletionService');
+
+// Before scheduled deletion, deleting an account only set isActive to false,
+// so those accounts have no deletionScheduledFor and the purge job never
+// removes them. This gives them the full grace period from now.
+//
+// Support can also deactivate accounts, and those look the same. Run it
+// without --apply first to see how many accounts it would schedule.
+async function scheduleLegacyDeletions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const filter = { isActive: false, deletionScheduledFor: null };
+    const count = await User.countDocuments(filter);
+
+    if (!process.argv.includes('--apply')) {
+      console.log(`ℹ️ ${count} deactivated accounts have no deletion scheduled. Re-run with --apply to schedule them.`);
+      process.exit(0);
+    }
+
+    console.log('🔄 Scheduling legacy account deletions...');
+
+    const now = new Date();
+    const result = await User.updateMany(filter, {
+      $set: {
+        deletionRequestedAt: now,
+        deletionScheduledFor: new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000),
+      },
+    });
+
+    console.log(`✅ Scheduled ${result.modifiedCount} accounts for deletion`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+scheduleLegacyDeletions();
@@ -9,6 +9,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
+const { socketAuth, refreshSocketAuth, startSocketAuthSweep } = require('./middleware/socketAuth');
 
 // Load environment variables
 dotenv.config();
@@ -37,6 +38,16 @@ const io = new Server(server, {
   }
 });
 
+// Make io available to controllers via req.app.get('io')
+app.set('io', io);
+
+// Number of reverse proxies in front of the app (Render, Vercel, etc.).
+// req.ip takes the client address from X-Forwarded-For only through these
+// hops. Unset means no proxy: otherwise any client could pick its own IP and
+// dodge the per-IP lockouts and rate limits. Set TRUST_PROXY=1 behind one.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY, 10);
+app.set('trust proxy', Number.isNaN(trustProxyHops) || trustProxyHops <= 0 ? false : trustProxyHops);
+
 // ============================================
 // MIDDLEWARE CONFIGURATION
 // ============================================
@@ -45,8 +56,8 @@ const io = new Server(server, {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Cookie Parser
-app.use(cookieParser());
+// Cookie Parser (the secret signs the trusted-device cookie)
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 // Security Headers
 app.use(helmet({
@@ -79,7 +90,9 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// ✅ RATE LIMITING COMPLETELY REMOVED - NO RESTRICTIONS
+// Rate limits are applied per route with named policies (config/rateLimits.js).
+// Failed logins / password resets are throttled per account and IP in
+// services/bruteForceService.js
 
 // ============================================
 // REQUEST LOGGING (Optional - for monitoring)
@@ -97,36 +110,94 @@ const onlineUsers = new Map();
 const activeCalls = new Map();
 const callTimeouts = new Map();
 
+// Every socket must present a valid access token (same JWT as the REST API).
+// socket.userId comes from the token - never from event payloads.
+io.use(socketAuth);
+
+// Drop sockets whose token expired or whose session was revoked
+startSocketAuthSweep(io);
+
+// The other participant of a call, or null if the user isn't in it
+const getCallPeer = (call, userId) => {
+  if (!call) return null;
+  if (call.caller === userId) return { userId: call.receiver, socketId: call.receiverSocketId };
+  if (call.receiver === userId) return { userId: call.caller, socketId: call.callerSocketId };
+  return null;
+};
+
 io.on('connection', (socket) => {
   console.log('🔌 User connected:', socket.id);
 
   // ============================================
   // USER AUTHENTICATION & ONLINE STATUS
   // ============================================
-  
-  socket.on('user:online', (userId) => {
-    if (!userId) return;
-    
-    socket.userId = userId;
-    socket.join(userId);
+
+  const userId = socket.userId;
+
+  socket.join(userId);
+  onlineUsers.set(userId, socket.id);
+
+  console.log(`✅ User ${userId} is now online (Socket: ${socket.id})`);
+
+  // ✅ Broadcast online status to ALL users
+  io.emit('user:status', {
+    userId,
+    isOnline: true
+  });
+
+  // Kept for older clients - the identity always comes from the token
+  socket.on('user:online', () => {
     onlineUsers.set(userId, socket.id);
-    
-    console.log(`✅ User ${userId} is now online (Socket: ${socket.id})`);
-    
-    // ✅ Broadcast online status to ALL users
     io.emit('user:status', {
       userId,
       isOnline: true
     });
   });
 
+  // New access token after an HTTP refresh (otherwise the socket is
+  // disconnected when the old token expires)
+  socket.on('auth:refresh', async ({ token } = {}) => {
+    if (await refreshSocketAuth(socket, token)) {
+      socket.emit('auth:refreshed', { expiresAt: new Date(socket.data.tokenExpiresAt) });
+    }
+  });
+
+  // ============================================
+  // POLL RESULTS
+  // ============================================
+
+  // Follow a poll's live results (post:poll:updated). Only the author and
+  // voters get in - everyone else can't see results yet.
+  socket.on('post:poll:subscribe', async ({ postId } = {}) => {
+    try {
+      const pollService = require('./services/pollService');
+      if (await pollService.canFollowResults(postId, userId)) {
+        socket.join(pollService.getPollRoom(postId));
+      }
+    } catch (error) {
+      console.error('❌ Poll subscribe error:', error.message);
+    }
+  });
+
+  socket.on('post:poll:unsubscribe', ({ postId } = {}) => {
+    const { getPollRoom } = require('./services/pollService');
+    socket.leave(getPollRoom(postId));
+  });
+
   // ============================================
   // AUDIO CALL HANDLERS
   // ============================================
 
   // ✅ Initiate audio call - SENDS CALLID BACK TO CALLER
-  socket.on('audio:call:initiate', async ({ receiverId, callerId, callerInfo }) => {
+  socket.on('audio:call:initiate', async ({ receiverId } = {}) => {
     try {
+      const callerId = userId;
+
+      if (!receiverId || receiverId === callerId) {
+        socket.emit('audio:call:error', { message: 'Invalid call receiver' });
+        return;
+      }
+
       console.log(`📞 ${callerId} is calling ${receiverId}`);
 
       const callId = `call_${callerId}_${receiverId}_${Date.now()}`;
@@ -137,6 +208,22 @@ io.on('connection', (socket) => {
         socket.emit('audio:call:error', { message: 'User is offline' });
         return;
       }
+
+      // Caller details come from the database, not the client
+      const User = require('./models/User');
+      const caller = await User.findById(callerId).select('firstName lastName username avatar');
+      if (!caller) {
+        socket.emit('audio:call:error', { message: 'Failed to initiate call' });
+        return;
+      }
+      const callerInfo = {
+        _id: caller._id,
+        firstName: caller.firstName,
+        lastName: caller.lastName,
+        fullName: caller.fullName,
+        username: caller.username,
+        avatar: caller.avatar,
+      };
       
       // Create call session
       activeCalls.set(callId, {
@@ -248,6 +335,12 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Only the person being called can accept
+      if (call.receiver !== userId) {
+        console.log(`⚠️ ${userId} tried to accept a call they didn't receive: ${callId}`);
+        return;
+      }
+
       // ✅ Clear missed call timeout
       const timeout = callTimeouts.get(callId);
       if (timeout) {
@@ -283,7 +376,7 @@ io.on('connection', (socket) => {
   socket.on('audio:call:decline', async ({ callId, reason }) => {
     try {
       const call = activeCalls.get(callId);
-      if (!call) return;
+      if (!call || call.receiver !== userId) return;
 
       // Clear timeout
       const timeout = callTimeouts.get(callId);
@@ -319,6 +412,12 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Only the caller or the receiver can end a call
+      if (!getCallPeer(call, userId)) {
+        console.log(`⚠️ ${userId} tried to end a call they're not in: ${callId}`);
+        return;
+      }
+
       // Clear timeout
       const timeout = callTimeouts.get(callId);
       if (timeout) {
@@ -381,7 +480,7 @@ io.on('connection', (socket) => {
         callId,
         duration: finalDuration,
         wasAccepted: wasAccepted,
-        endedBy: socket.userId,
+        endedBy: userId,
       };
 
       // ✅ Emit to BOTH parties IMMEDIATELY
@@ -405,54 +504,57 @@ io.on('connection', (socket) => {
   // WebRTC SIGNALING (Optional - for actual audio)
   // ============================================
 
-   // ✅ FIXED: WebRTC Offer (Caller → Receiver)
-  socket.on('audio:webrtc:offer', ({ callId, receiverId, offer }) => {
-    console.log(`📡 WebRTC offer from ${socket.userId} to ${receiverId}`);
-    
-    const receiverSocketId = onlineUsers.get(receiverId);
-    if (receiverSocketId) {
-      console.log(`✅ Forwarding offer to receiver socket: ${receiverSocketId}`);
-      io.to(receiverSocketId).emit('audio:webrtc:offer', {
+  // Signals are only relayed between the two participants of a call, so the
+  // target always comes from the call session rather than the payload.
+
+  // ✅ FIXED: WebRTC Offer (Caller → Receiver)
+  socket.on('audio:webrtc:offer', ({ callId, offer } = {}) => {
+    const peer = getCallPeer(activeCalls.get(callId), userId);
+    console.log(`📡 WebRTC offer from ${userId} to ${peer?.userId}`);
+
+    if (peer) {
+      console.log(`✅ Forwarding offer to receiver socket: ${peer.socketId}`);
+      io.to(peer.socketId).emit('audio:webrtc:offer', {
         callId,
-        senderId: socket.userId,
+        senderId: userId,
         offer,
       });
     } else {
-      console.log('❌ Receiver not online');
+      console.log('❌ Not a participant of this call');
     }
   });
 
   // ✅ FIXED: WebRTC Answer (Receiver → Caller)
-  socket.on('audio:webrtc:answer', ({ callId, callerId, answer }) => {
-    console.log(`📡 WebRTC answer from ${socket.userId} to ${callerId}`);
-    
-    const callerSocketId = onlineUsers.get(callerId);
-    if (callerSocketId) {
-      console.log(`✅ Forwarding answer to caller socket: ${callerSocketId}`);
-      io.to(callerSocketId).emit('audio:webrtc:answer', {
+  socket.on('audio:webrtc:answer', ({ callId, answer } = {}) => {
+    const peer = getCallPeer(activeCalls.get(callId), userId);
+    console.log(`📡 WebRTC answer from ${userId} to ${peer?.userId}`);
+
+    if (peer) {
+      console.log(`✅ Forwarding answer to caller socket: ${peer.socketId}`);
+      io.to(peer.socketId).emit('audio:webrtc:answer', {
         callId,
-        senderId: socket.userId,
+        senderId: userId,
         answer,
       });
     } else {
-      console.log('❌ Caller not online');
+      console.log('❌ Not a participant of this call');
     }
   });
 
   // ✅ FIXED: ICE Candidate Exchange (Bidirectional)
-  socket.on('audio:webrtc:ice-candidate', ({ callId, targetUserId, candidate }) => {
-    console.log(`📡 ICE candidate from ${socket.userId} to ${targetUserId}`);
-    
-    const targetSocketId = onlineUsers.get(targetUserId);
-    if (targetSocketId) {
-      console.log(`✅ Forwarding ICE candidate to socket: ${targetSocketId}`);
-      io.to(targetSocketId).emit('audio:webrtc:ice-candidate', {
+  socket.on('audio:webrtc:ice-candidate', ({ callId, candidate } = {}) => {
+    const peer = getCallPeer(activeCalls.get(callId), userId);
+    console.log(`📡 ICE candidate from ${userId} to ${peer?.userId}`);
+
+    if (peer) {
+      console.log(`✅ Forwarding ICE candidate to socket: ${peer.socketId}`);
+      io.to(peer.socketId).emit('audio:webrtc:ice-candidate', {
         callId,
-        senderId: socket.userId,
+        senderId: userId,
         candidate,
       });
     } else {
-      console.log('❌ Target user not online');
+      console.log('❌ Not a participant of this call');
     }
   });
 
@@ -463,13 +565,13 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log('🔌 User disconnected:', socket.id);
 
-    // Remove from online users
-    if (socket.userId) {
-      onlineUsers.delete(socket.userId);
+    // Remove from online users (unless another tab took over)
+    if (onlineUsers.get(userId) === socket.id) {
+      onlineUsers.delete(userId);
       
       // ✅ Broadcast offline status to ALL users
       io.emit('user:status', {
-        userId: socket.userId,
+        userId,
         isOnline: false
       });
     }
@@ -518,6 +620,7 @@ io.on('connection', (socket) => {
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/profiles', require('./routes/profileRoutes'));
 app.use('/api/posts', require('./routes/postRoutes'));
+app.use('/api/bookmarks', require('./routes/bookmarkRoutes'));
 app.use('/api/points', require('./routes/pointsRoutes'));
 app.use('/api/settings', require('./routes/settingsRoutes'));
 app.use('/api/events', require('./routes/eventRoutes'));
@@ -531,6 +634,7 @@ app.use('/api/gallery', require('./routes/galleryRoutes'));
 app.use('/api/contact', require('./routes/contactRoutes'));
 app.use('/api/trending', require('./routes/trendingRoutes'));
 app.use('/api/platform-stats', require('./routes/platformStatsRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 // ============================================
 // ROOT ROUTE (API Welcome)
@@ -556,6 +660,7 @@ app.get('/', (req, res) => {
       settings: '/api/settings',
       event: '/api/event',
       contact: '/api/contact',
+      admin: '/api/admin',
     },
     features: [
       '✅ User Authentication & Authorization',
@@ -570,7 +675,8 @@ app.get('/', (req, res) => {
       '✅ Real-time Notifications',
       '✅ Admin Dashboard Analytics',
       '✅ Privacy Controls',
-      '✅ NO RATE LIMITING - Unlimited Requests',
+      '✅ Brute-force Login Protection',
+      '✅ Per-route Rate Limiting',
     ],
     documentation: 'https://nelly-korda-ochre.vercel.app',
   });
@@ -591,7 +697,9 @@ app.get('/api/health', (req, res) => {
     socketIO: 'Active',
     activeCalls: activeCalls.size,
     onlineUsers: onlineUsers.size,
-    rateLimiting: 'DISABLED',
+    rateLimiting: process.env.RATE_LIMIT_ENABLED === 'false'
+      ? 'DISABLED'
+      : require('./middleware/rateLimiter').getStore().name,
   });
 });
 
@@ -610,6 +718,32 @@ cron.schedule('0 * * * *', async () => {
   }
 });
 
+// Publish scheduled posts that are due - Every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    const { publishDuePosts } = require('./services/postPublishingService');
+    const result = await publishDuePosts();
+    if (result.published > 0) {
+      console.log(`✅ Cron Job: Published ${result.published} scheduled posts`);
+    }
+  } catch (error) {
+    console.error('❌ Cron Job Error (Scheduled Posts):', error.message);
+  }
+});
+
+// Roll recorded post views up into Post.viewsCount - Every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const { rollupViewCounts } = require('./services/postViewService');
+    const result = await rollupViewCounts();
+    if (result.views > 0) {
+      console.log(`✅ Cron Job: Rolled up ${result.views} views on ${result.posts} posts`);
+    }
+  } catch (error) {
+    console.error('❌ Cron Job Error (View Rollup):', error.message);
+  }
+});
+
 // Clean up old notifications (older than 30 days) - Daily at 2 AM
 cron.schedule('0 2 * * *', async () => {
   try {
@@ -649,6 +783,39 @@ cron.schedule('0 3 * * *', async () => {
   }
 });
 
+// Remove expired data export archives and restart interrupted exports - Every hour at :30
+cron.schedule('30 * * * *', async () => {
+  try {
+    const { cleanupExports } = require('./services/dataExportService');
+    const result = await cleanupExports();
+    console.log(`✅ Cron Job: Removed ${result.expired} expired data exports (${result.restarted} restarted)`);
+  } catch (error) {
+    console.error('❌ Cron Job Error (Data Exports):', error.message);
+  }
+});
+
+// Purge accounts whose deletion grace period has ended - daily at 4 AM
+cron.schedule('0 4 * * *', async () => {
+  try {
+    const { purgeDueAccounts } = require('./services/accountDeletionService');
+    const result = await purgeDueAccounts();
+    console.log(`✅ Cron Job: Purged ${result.purged} deleted accounts (${result.failed} failed)`);
+  } catch (error) {
+    console.error('❌ Cron Job Error (Account Purge):', error.message);
+  }
+});
+
+// Send weekly digest emails - Mondays at 9 AM
+cron.schedule('0 9 * * 1', async () => {
+  try {
+    const { sendWeeklyDigests } = require('./services/digestService');
+    const result = await sendWeeklyDigests();
+    console.log(`✅ Cron Job: Sent ${result.sent} weekly digests (${result.failed} failed)`);
+  } catch (error) {
+    console.error('❌ Cron Job Error (Weekly Digest):', error.message);
+  }
+});
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { SCOPES } = require('../config/tokenScopes');
+const { getClientIp } = require('../utils/requestInfo');
+
+const TOKEN_PREFIX = 'nkp_';
+const DEFAULT_EXPIRE_DAYS = 30;
+const MAX_EXPIRE_DAYS = parseInt(process.env.ACCESS_TOKEN_MAX_DAYS) || 365;
+const MAX_TOKENS_PER_USER = parseInt(process.env.ACCESS_TOKEN_MAX_PER_USER) || 20;
+const LAST_USED_THROTTLE = 60 * 1000; // don't write lastUsedAt more than once a minute
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+exports.MAX_EXPIRE_DAYS = MAX_EXPIRE_DAYS;
+exports.MAX_TOKENS_PER_USER = MAX_TOKENS_PER_USER;
+
+// Personal access tokens are told apart from JWTs by their prefix
+exports.isAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Scopes that don't exist
+exports.getInvalidScopes = (scopes) => {
+  return scopes.filter((scope) => !SCOPES.includes(scope));
+};
+
+// ============================================
+// CREATE
+// ============================================
+
+// Returns { accessToken, token } - the plain token is never stored
+exports.createToken = async (userId, { name, scopes, expiresInDays = DEFAULT_EXPIRE_DAYS }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const accessToken = await AccessToken.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { accessToken, token };
+};
+
+exports.countActiveTokens = async (userId) => {
+  return await AccessToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// ============================================
+// AUTHENTICATE
+// ============================================
+
+// Returns the usable token (with its user populated) or null
+exports.authenticate = async (token, req) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) }).populate('user');
+
+  if (!accessToken || !accessToken.isUsable() || !accessToken.user) return null;
+
+  const now = Date.now();
+  if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt.getTime() > LAST_USED_THROTTLE) {
+    await AccessToken.updateOne(
+      { _id: accessToken._id },
+      { $set: { lastUsedAt: new Date(now), lastUsedIp: getClientIp(req) } }
+    );
+  }
+
+  return accessToken;
+};
+
+// ============================================
+// LIST / REVOKE
+// ============================================
+
+exports.getTokens = async (userId) => {
+  return await AccessToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+exports.revokeToken = async (userId, tokenId) => {
+  const result = await AccessToken.updateOne(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// e.g. after a password reset or a reported login
+exports.revokeAllTokens = async (userId) => {
+  const result = await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = exports;
@@ -0,0 +1,525 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Settings = require('../models/Settings');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const PostView = require('../models/PostView');
+const Bookmark = require('../models/Bookmark');
+const pollService = require('./pollService');
+const shareService = require('./shareService');
+const Comment = require('../models/Comment');
+const MediaComment = require('../models/MediaComment');
+const Story = require('../models/Story');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Event = require('../models/Event');
+const Tournament = require('../models/Tournament');
+const Trending = require('../models/Trending');
+const LoginApproval = require('../models/LoginApproval');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginHistory = require('../models/LoginHistory');
+const RateLimit = require('../models/RateLimit');
+const DataExport = require('../models/DataExport');
+const AccessToken = require('../models/AccessToken');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { Badge, POINTS_CONFIG } = require('../models/Badge');
+const { deleteMultipleFiles, deletePrivateFile } = require('../config/cloudinary');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const GRACE_PERIOD_MS = GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+
+const idEquals = (a, b) => !!a && a.toString() === b.toString();
+
+const uniqueIds = (ids) => {
+  return [...new Set(ids.filter(Boolean).map((id) => id.toString()))];
+};
+
+// ============================================
+// SCHEDULE / CANCEL
+// ============================================
+
+exports.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
+
+// Deactivate now, purge for good once the grace period is over
+exports.scheduleDeletion = async (user) => {
+  const now = new Date();
+
+  user.isActive = false;
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + GRACE_PERIOD_MS);
+  await user.save({ validateBeforeSave: false });
+
+  return user.deletionScheduledFor;
+};
+
+// Logging in during the grace period brings the account back
+exports.cancelDeletion = async (user) => {
+  user.isActive = true;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+// ============================================
+// PURGE STEPS
+// ============================================
+// Each step removes or anonymizes one kind of data for the user and pushes
+// any Cloudinary public IDs it orphans onto ctx.publicIds.
+
+// Trending keeps postsCount/commentsCount next to its lists, so they are
+// recounted as the purged posts and comments come out
+const pullFromTrending = async (postIds, commentIds) => {
+  const trending = await Trending.find({
+    $or: [{ posts: { $in: postIds } }, { comments: { $in: commentIds } }],
+  }).select('posts comments');
+
+  const removed = new Set([...postIds, ...commentIds].map((id) => id.toString()));
+  const remaining = (ids) => ids.filter((id) => !removed.has(id.toString())).length;
+
+  for (const tag of trending) {
+    await Trending.updateOne(
+      { _id: tag._id },
+      {
+        $pull: { posts: { $in: postIds }, comments: { $in: commentIds } },
+        $set: { postsCount: remaining(tag.posts), commentsCount: remaining(tag.comments) },
+      }
+    );
+  }
+};
+
+// Posts and stories the user authored (admins/moderators)
+const purgeAuthoredContent = async (userId, ctx) => {
+  const posts = await Post.find({ author: userId }).select('media.publicId');
+  const postIds = posts.map((post) => post._id);
+
+  posts.forEach((post) => {
+    post.media.forEach((media) => ctx.publicIds.push(media.publicId));
+  });
+
+  if (postIds.length > 0) {
+    const [comments, mediaComments] = await Promise.all([
+      Comment.find({ post: { $in: postIds } }).select('media.publicId'),
+      MediaComment.find({ post: { $in: postIds } }).select('_id'),
+    ]);
+    comments.forEach((comment) => ctx.publicIds.push(comment.media?.publicId));
+
+    const commentIds = comments.map((comment) => comment._id);
+
+    await Promise.all([
+      Comment.deleteMany({ post: { $in: postIds } }),
+      MediaComment.deleteMany({ _id: { $in: mediaComments.map((comment) => comment._id) } }),
+      Notification.deleteMany({ post: { $in: postIds } }),
+      PostRevision.deleteMany({ post: { $in: postIds } }),
+      PostView.deleteMany({ post: { $in: postIds } }),
+      pollService.deleteVotes(postIds),
+      Bookmark.deleteMany({ post: { $in: postIds } }),
+      shareService.deleteForPosts(postIds),
+      pullFromTrending(postIds, commentIds),
+      Profile.updateMany({ featuredPosts: { $in: postIds } }, { $pull: { featuredPosts: { $in: postIds } } }),
+      Tournament.updateMany({ relatedPosts: { $in: postIds } }, { $pull: { relatedPosts: { $in: postIds } } }),
+    ]);
+
+    await Post.deleteMany({ _id: { $in: postIds } });
+  }
+
+  const stories = await Story.find({ author: userId }).select('mediaItems.publicId');
+  const storyIds = stories.map((story) => story._id);
+
+  stories.forEach((story) => {
+    story.mediaItems.forEach((item) => ctx.publicIds.push(item.publicId));
+  });
+
+  if (storyIds.length > 0) {
+    await Profile.updateMany({ featuredStories: { $in: storyIds } }, { $pull: { featuredStories: { $in: storyIds } } });
+    await Story.deleteMany({ _id: { $in: storyIds } });
+  }
+};
+
+// The user's comments (and replies to them), likes and mentions
+const purgeComments = async (userId, ctx) => {
+  const own = await Comment.find({ author: userId }).select('post parentComment media.publicId');
+  const ownIds = own.map((comment) => comment._id);
+
+  // Replies to the user's comments go with them
+  const replies = await Comment.find({
+    parentComment: { $in: ownIds },
+    author: { $ne: userId },
+  }).select('post media.publicId');
+
+  const removed = [...own, ...replies];
+  const removedIds = removed.map((comment) => comment._id);
+  removed.forEach((comment) => ctx.publicIds.push(comment.media?.publicId));
+
+  await Comment.deleteMany({ _id: { $in: removedIds } });
+
+  await Comment.updateMany(
+    { 'likes.user': userId },
+    { $pull: { likes: { user: userId } }, $inc: { likesCount: -1 } }
+  );
+  await Comment.updateMany({ mentionedUsers: userId }, { $pull: { mentionedUsers: userId } });
+
+  if (removedIds.length === 0) return;
+
+  // Recount what was denormalized on posts and parent comments
+  for (const postId of uniqueIds(removed.map((comment) => comment.post))) {
+    const commentsCount = await Comment.countDocuments({ post: postId });
+    await Post.updateOne(
+      { _id: postId },
+      { $pull: { comments: { $in: removedIds } }, $set: { commentsCount } }
+    );
+  }
+
+  const removedSet = new Set(removedIds.map((id) => id.toString()));
+  const parentIds = uniqueIds(own.map((comment) => comment.parentComment))
+    .filter((id) => !removedSet.has(id));
+
+  for (const parentId of parentIds) {
+    const repliesCount = await Comment.countDocuments({ parentComment: parentId });
+    await Comment.updateOne({ _id: parentId }, { $set: { repliesCount } });
+  }
+
+  await pullFromTrending([], removedIds);
+};
+
+// The user's media comments (and replies to them) and likes
+const purgeMediaComments = async (userId) => {
+  const own = await MediaComment.find({ author: userId }).select('post mediaIndex parentComment');
+  const ownIds = own.map((comment) => comment._id);
+
+  const replies = await MediaComment.find({
+    parentComment: { $in: ownIds },
+    author: { $ne: userId },
+  }).select('post mediaIndex');
+
+  const removed = [...own, ...replies];
+  const removedIds = removed.map((comment) => comment._id);
+
+  await MediaComment.deleteMany({ _id: { $in: removedIds } });
+
+  await MediaComment.updateMany(
+    { 'likes.user': userId },
+    { $pull: { likes: { user: userId } }, $inc: { likesCount: -1 } }
+  );
+
+  if (removedIds.length === 0) return;
+
+  // Recount media comment counters on each affected post
+  const touched = new Map();
+  removed.forEach((comment) => {
+    touched.set(`${comment.post}:${comment.mediaIndex}`, comment);
+  });
+
+  for (const { post, mediaIndex } of touched.values()) {
+    const commentsCount = await MediaComment.countDocuments({ post, mediaIndex });
+    await Post.updateOne(
+      { _id: post },
+      {
+        $pull: { [`media.${mediaIndex}.comments`]: { $in: removedIds } },
+        $set: { [`media.${mediaIndex}.commentsCount`]: commentsCount },
+      }
+    );
+  }
+
+  const removedSet = new Set(removedIds.map((id) => id.toString()));
+  const parentIds = uniqueIds(own.map((comment) => comment.parentComment))
+    .filter((id) => !removedSet.has(id));
+
+  for (const parentId of parentIds) {
+    const repliesCount = await MediaComment.countDocuments({ parentComment: parentId });
+    await MediaComment.updateOne({ _id: parentId }, { $set: { repliesCount } });
+  }
+};
+
+// Points the user's likes and first shares earned other authors
+const revokeAwardedPoints = async (userId, likedAuthors, sharedPostIds) => {
+  const points = new Map();
+  const deduct = (authorId, amount) => {
+    if (!authorId || idEquals(authorId, userId)) return;
+    const key = authorId.toString();
+    points.set(key, (points.get(key) || 0) + amount);
+  };
+
+  likedAuthors.forEach((authorId) => deduct(authorId, POINTS_CONFIG.RECEIVE_LIKE));
+
+  const shared = await Post.find({ _id: { $in: sharedPostIds } }).select('author');
+  shared.forEach((post) => deduct(post.author, POINTS_CONFIG.POST_SHARED));
+
+  if (points.size === 0) return;
+
+  await User.bulkWrite(
+    [...points].map(([authorId, amount]) => ({
+      updateOne: { filter: { _id: authorId }, update: { $inc: { 'stats.points': -amount } } },
+    }))
+  );
+  await User.updateMany(
+    { _id: { $in: [...points.keys()] }, 'stats.points': { $lt: 0 } },
+    { $set: { 'stats.points': 0 } }
+  );
+};
+
+// Reactions, media likes, tags, views, poll votes and shares on other people's posts
+const purgePostInteractions = async (userId) => {
+  const posts = await Post.find({
+    $or: [
+      { 'likes.user': userId },
+      { 'media.likes.user': userId },
+      { 'media.taggedUsers.user': userId },
+      { 'views.user': userId },
+    ],
+  }).select('author likes media.likes media.taggedUsers views.user');
+  const likedAuthors = [];
+
+  for (const post of posts) {
+    const $pull = { views: { user: userId } };
+    const $inc = {};
+
+    const like = post.likes.find((entry) => idEquals(entry.user, userId));
+    if (like) {
+      $pull.likes = { user: userId };
+      $inc.likesCount = -1;
+      $inc[`reactionCounts.${like.reaction || 'like'}`] = -1;
+      likedAuthors.push(post.author);
+    }
+
+    post.media.forEach((media, index) => {
+      if (media.likes.some((entry) => idEquals(entry.user, userId))) {
+        $pull[`media.${index}.likes`] = { user: userId };
+        $inc[`media.${index}.likesCount`] = -1;
+      }
+      if (media.taggedUsers.some((entry) => idEquals(entry.user, userId))) {
+        $pull[`media.${index}.taggedUsers`] = { user: userId };
+      }
+    });
+
+    await Post.updateOne(
+      { _id: post._id },
+      Object.keys($inc).length > 0 ? { $pull, $inc } : { $pull }
+    );
+  }
+
+  // View records (already counted in viewsCount)
+  await PostView.deleteMany({ user: userId });
+
+  // Poll votes and shares come off the totals
+  await pollService.removeUserVotes(userId);
+  const sharedPostIds = await shareService.removeUserShares(userId);
+
+  await revokeAwardedPoints(userId, likedAuthors, sharedPostIds);
+};
+
+// Views, likes, comments, reports and poll votes on stories
+const purgeStoryInteractions = async (userId) => {
+  const stories = await Story.find({
+    $or: [
+      { 'viewers.user': userId },
+      { 'likes.user': userId },
+      { 'comments.user': userId },
+      { 'reports.user': userId },
+      { 'poll.options.votes': userId },
+    ],
+  }).select('viewers.user likes.user comments.user poll.options.votes');
+
+  for (const story of stories) {
+    const $pull = {
+      viewers: { user: userId },
+      likes: { user: userId },
+      comments: { user: userId },
+      reports: { user: userId },
+    };
+    const $inc = {};
+
+    if (story.viewers.some((entry) => idEquals(entry.user, userId))) {
+      $inc['stats.totalViews'] = -1;
+    }
+    if (story.likes.some((entry) => idEquals(entry.user, userId))) {
+      $inc['stats.totalLikes'] = -1;
+    }
+    const commentCount = story.comments.filter((entry) => idEquals(entry.user, userId)).length;
+    if (commentCount > 0) {
+      $inc['stats.totalComments'] = -commentCount;
+    }
+
+    (story.poll?.options || []).forEach((option, index) => {
+      if (option.votes.some((vote) => idEquals(vote, userId))) {
+        $pull[`poll.options.${index}.votes`] = userId;
+      }
+    });
+
+    await Story.updateOne(
+      { _id: story._id },
+      Object.keys($inc).length > 0 ? { $pull, $inc } : { $pull }
+    );
+  }
+};
+
+// Conversations with the user are removed on both sides
+const purgeMessages = async (userId, ctx) => {
+  const filter = { $or: [{ sender: userId }, { receiver: userId }] };
+
+  const withMedia = await Message.find({ ...filter, 'media.publicId': { $exists: true } }).select('media');
+  withMedia.forEach((message) => ctx.publicIds.push(message.media?.publicId));
+
+  await Message.deleteMany(filter);
+};
+
+// Organized events are deleted; attendance, co-hosting, posts and photos elsewhere are removed
+const purgeEvents = async (userId, ctx) => {
+  const organized = await Event.find({ organizer: userId }).select('coverPhoto.publicId photos.publicId');
+  organized.forEach((event) => {
+    ctx.publicIds.push(event.coverPhoto?.publicId);
+    event.photos.forEach((photo) => ctx.publicIds.push(photo.publicId));
+  });
+  await Event.deleteMany({ organizer: userId });
+
+  const uploaded = await Event.find({ 'photos.uploadedBy': userId }).select('photos');
+  uploaded.forEach((event) => {
+    event.photos
+      .filter((photo) => idEquals(photo.uploadedBy, userId))
+      .forEach((photo) => ctx.publicIds.push(photo.publicId));
+  });
+
+  await Event.updateMany(
+    {
+      $or: [
+        { 'attendees.user': userId },
+        { coHosts: userId },
+        { 'discussion.user': userId },
+        { 'photos.uploadedBy': userId },
+      ],
+    },
+    {
+      $pull: {
+        attendees: { user: userId },
+        coHosts: userId,
+        discussion: { user: userId },
+        photos: { uploadedBy: userId },
+      },
+    }
+  );
+};
+
+// Profile, settings and references to the user in other people's
+const purgeProfileAndSettings = async (userId, ctx) => {
+  const profile = await Profile.findOne({ user: userId }).select('coverPhoto.publicId gallery.publicId');
+  if (profile) {
+    ctx.publicIds.push(profile.coverPhoto?.publicId);
+    profile.gallery.forEach((item) => ctx.publicIds.push(item.publicId));
+    await Profile.deleteOne({ _id: profile._id });
+  }
+
+  await Profile.updateMany(
+    { 'recentViewers.user': userId },
+    { $pull: { recentViewers: { user: userId } } }
+  );
+
+  await Settings.deleteOne({ user: userId });
+  await Settings.updateMany(
+    { $or: [{ 'blockedUsers.user': userId }, { 'mutedUsers.user': userId }] },
+    { $pull: { blockedUsers: { user: userId }, mutedUsers: { user: userId } } }
+  );
+};
+
+// Notifications, badges, bookmarks, security records and access tokens
+const purgeAccountRecords = async (userId) => {
+  await Promise.all([
+    Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }),
+    Badge.deleteMany({ userId }),
+    Bookmark.deleteMany({ user: userId }),
+    LoginApproval.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ user: userId }),
+    LoginHistory.deleteMany({ user: userId }),
+    AccessToken.deleteMany({ user: userId }),
+    Impersonation.deleteMany({ user: userId }),
+    ImpersonationLog.deleteMany({ user: userId }),
+    RateLimit.deleteMany({ key: new RegExp(`:user:${userId}$`) }),
+  ]);
+};
+
+// Data export archives on Cloudinary
+const purgeDataExports = async (userId) => {
+  const dataExports = await DataExport.find({ user: userId }).select('+storageId');
+
+  for (const dataExport of dataExports) {
+    if (dataExport.storageId) {
+      await deletePrivateFile(dataExport.storageId);
+    }
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+// Order matters: authored content first so its comments aren't recounted twice
+const PURGE_STEPS = [
+  purgeAuthoredContent,
+  purgeComments,
+  purgeMediaComments,
+  purgePostInteractions,
+  purgeStoryInteractions,
+  purgeMessages,
+  purgeEvents,
+  purgeProfileAndSettings,
+  purgeAccountRecords,
+  purgeDataExports,
+];
+
+// ============================================
+// PURGE USER
+// ============================================
+
+exports.purgeUser = async (userId) => {
+  const user = await User.findById(userId).select('avatar');
+  if (!user) return false;
+
+  const ctx = { publicIds: [user.avatar?.publicId] };
+
+  for (const step of PURGE_STEPS) {
+    await step(user._id, ctx);
+  }
+
+  await User.deleteOne({ _id: user._id });
+
+  // Cloudinary last - a failed delete there shouldn't leave documents behind
+  const publicIds = uniqueIds(ctx.publicIds);
+  if (publicIds.length > 0) {
+    try {
+      await deleteMultipleFiles(publicIds);
+    } catch (error) {
+      console.error(`❌ Failed to delete Cloudinary assets for user ${userId}:`, error.message);
+    }
+  }
+
+  return true;
+};
+
+// ============================================
+// PURGE DUE ACCOUNTS (cron)
+// ============================================
+
+exports.purgeDueAccounts = async () => {
+  // Only accounts the user asked to delete. Accounts deactivated some other
+  // way never carry deletionRequestedAt (scripts/scheduleLegacyDeletions.js
+  // schedules the ones the old self-delete left behind).
+  const due = await User.find({
+    isActive: false,
+    deletionRequestedAt: { $ne: null },
+    deletionScheduledFor: { $lte: new Date() },
+  }).select('_id');
+
+  let purged = 0;
+  let failed = 0;
+
+  for (const { _id } of due) {
+    try {
+      await exports.purgeUser(_id);
+      purged += 1;
+    } catch (error) {
+      console.error(`❌ Account purge failed for user ${_id}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { purged, failed };
+};
+
+module.exports = exports;
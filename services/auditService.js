@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const Achievement = require('../models/Achievement');
+const Tournament = require('../models/Tournament');
+const Trending = require('../models/Trending');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const AdminInvite = require('../models/AdminInvite');
+const Impersonation = require('../models/Impersonation');
+const FeedConfig = require('../models/FeedConfig');
+const { getClientIp } = require('../utils/requestInfo');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+// Bookkeeping and interaction lists that would drown out the actual change
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'likes', 'comments', 'views', 'viewers'];
+// Longer arrays are stored as a count instead of their contents
+const MAX_ARRAY_ITEMS = 20;
+
+// ============================================
+// TARGETS
+// ============================================
+// What each capability acts on:
+//   model       - loaded before and after the action to diff it
+//   param       - route param holding the target (body: request body field,
+//                 key: fixed value for single-document settings)
+//   lookup      - builds the query from that value (defaults to _id)
+//   select      - fields to snapshot (defaults to the whole document)
+// Handlers that create the target report its id with setAuditTarget.
+const TARGETS = {
+  'posts.create': { targetType: 'Post', model: Post, param: 'id' },
+  'posts.edit': { targetType: 'Post', model: Post, param: 'id' },
+  'posts.delete': { targetType: 'Post', model: Post, param: 'id' },
+  'posts.schedule': { targetType: 'Post', model: Post, param: 'id' },
+  'posts.tag_media': { targetType: 'Post', model: Post, param: 'id' },
+  'comments.pin': { targetType: 'Comment', model: Comment, param: 'id' },
+  'stories.create': { targetType: 'Story', model: Story, param: 'id' },
+  'stories.highlight': { targetType: 'Story', model: Story, param: 'id' },
+  'stories.delete': { targetType: 'Story', model: Story, param: 'id' },
+  'achievements.manage': { targetType: 'Achievement', model: Achievement, param: 'id' },
+  'tournaments.manage': { targetType: 'Tournament', model: Tournament, param: 'id' },
+  'profiles.feature_posts': { targetType: 'Post', param: 'postId' },
+  'trending.manage': {
+    targetType: 'Trending',
+    model: Trending,
+    param: 'hashtag',
+    lookup: (hashtag) => ({ hashtag: `#${hashtag.toLowerCase().replace(/^#/, '')}` }),
+  },
+  'points.award': { targetType: 'User', model: User, body: 'userId', select: 'stats badges' },
+  'feed.manage': { targetType: 'FeedConfig', model: FeedConfig, key: 'default', lookup: (key) => ({ key }) },
+  'analytics.refresh': { targetType: 'PlatformStats' },
+  'security.manage': { targetType: 'LoginAttempt', model: LoginAttempt, param: 'id' },
+  'users.invite': { targetType: 'AdminInvite', model: AdminInvite, param: 'id' },
+  'users.impersonate': { targetType: 'Impersonation', model: Impersonation, param: 'id' },
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+const getTargetKey = (req, target) => {
+  if (target.key) return target.key;
+  const value = target.body ? req.body?.[target.body] : req.params?.[target.param];
+  return typeof value === 'string' && value ? value : null;
+};
+
+const loadSnapshot = async (target, key) => {
+  if (!target.model || !key) return null;
+
+  let query;
+  if (target.lookup) {
+    query = target.lookup(key);
+  } else if (mongoose.Types.ObjectId.isValid(key)) {
+    query = { _id: key };
+  } else {
+    return null;
+  }
+
+  const finder = target.model.findOne(query).lean();
+  if (target.select) finder.select(target.select);
+  return await finder;
+};
+
+// Plain JSON so ObjectIds and dates compare and store as strings
+const summarize = (value) => {
+  if (value === undefined) return null;
+  if (Array.isArray(value) && value.length > MAX_ARRAY_ITEMS) {
+    return `[${value.length} items]`;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Top-level { field: { before, after } } for fields that differ. A create
+// has no before, a delete no after.
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const previous = summarize(before ? before[field] : undefined);
+    const next = summarize(after ? after[field] : undefined);
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+
+  return changes;
+};
+
+const writeLog = (req, entry) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    method: req.method,
+    path: req.originalUrl,
+    ipAddress: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    ...entry,
+  }).catch((error) => {
+    console.error('❌ Failed to write audit log:', error.message);
+  });
+};
+
+// ============================================
+// AUTOMATIC AUDITING - called by requirePermission
+// ============================================
+
+// Snapshot the target before the handler runs and log the action once a
+// successful response is sent. action names the handler (e.g. deletePost)
+// and falls back to the route. Never throws - auditing must not block the
+// action itself.
+exports.trackRequest = async (req, res, capability, { action } = {}) => {
+  if (READ_METHODS.includes(req.method)) return;
+
+  const target = TARGETS[capability] || { targetType: capability.split('.')[0] };
+  const key = getTargetKey(req, target);
+  let before = null;
+
+  try {
+    before = await loadSnapshot(target, key);
+  } catch (error) {
+    console.error('❌ Audit snapshot failed:', error.message);
+  }
+
+  // Created documents only have an id once the handler reports it
+  req.audit = { targetId: key };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    try {
+      const targetId = req.audit.targetId;
+      const after = await loadSnapshot(target, targetId);
+
+      await writeLog(req, {
+        action: action || (req.route ? `${req.method} ${req.route.path}` : capability),
+        capability,
+        targetType: target.targetType,
+        targetId: before?._id?.toString() || targetId,
+        changes: diffSnapshots(before, after),
+        statusCode: res.statusCode,
+      });
+    } catch (error) {
+      console.error('❌ Failed to write audit log:', error.message);
+    }
+  });
+};
+
+// Called by handlers that create their target (audited routes have no id
+// in the URL for those)
+exports.setAuditTarget = (req, id) => {
+  if (req.audit && id) {
+    req.audit.targetId = id.toString();
+  }
+};
+
+// ============================================
+// INLINE ACTIONS
+// ============================================
+
+// For privileged actions that share a route with regular users, e.g. a
+// moderator deleting someone else's comment. before/after are documents.
+exports.recordAudit = (req, { action, capability, targetType, targetId, before = null, after = null }) => {
+  const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+  return writeLog(req, {
+    action,
+    capability,
+    targetType,
+    targetId: targetId?.toString(),
+    changes: diffSnapshots(toPlain(before), toPlain(after)),
+    statusCode: 200,
+  });
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+// Returns a query for the supported filters, or throws with statusCode 400
+const buildQuery = ({ actor, action, capability, targetType, targetId, from, to } = {}) => {
+  const query = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      const error = new Error('Invalid actor id');
+      error.statusCode = 400;
+      throw error;
+    }
+    query.actor = actor;
+  }
+  if (action) query.action = action;
+  if (capability) query.capability = capability;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+
+  if (from || to) {
+    query.createdAt = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        const error = new Error(`Invalid date: ${value}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      query.createdAt[operator] = date;
+    }
+  }
+
+  return query;
+};
+
+exports.getAuditLogs = async (filters, { page = 1, limit = 20 } = {}) => {
+  const query = buildQuery(filters);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actor', 'firstName lastName username role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return { logs, total };
+};
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actorId',
+  'actorUsername',
+  'actorRole',
+  'action',
+  'capability',
+  'targetType',
+  'targetId',
+  'method',
+  'path',
+  'statusCode',
+  'ipAddress',
+  'changes',
+];
+
+// Quote fields that need it, and defuse values a spreadsheet would run as
+// a formula
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Newest first, capped at AUDIT_EXPORT_MAX_ROWS
+exports.exportCsv = async (filters) => {
+  const logs = await AuditLog.find(buildQuery(filters))
+    .populate('actor', 'username')
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_MAX_ROWS)
+    .lean();
+
+  const rows = logs.map((log) => [
+    log.createdAt,
+    (log.actor?._id || log.actor)?.toString(),
+    log.actor?.username,
+    log.actorRole,
+    log.action,
+    log.capability,
+    log.targetType,
+    log.targetId,
+    log.method,
+    log.path,
+    log.statusCode,
+    log.ipAddress,
+    log.changes,
+  ].map(escapeCsv).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+module.exports = exports;
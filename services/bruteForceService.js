@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const mailService = require('./mailService');
+const { getClientIp } = require('../utils/requestInfo');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_BACKOFF_SECONDS = parseInt(process.env.LOGIN_MAX_BACKOFF_SECONDS) || 60;
+const ATTEMPT_TTL = 24 * 60 * 60 * 1000; // forget quiet keys after a day
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// 1s, 2s, 4s, 8s ... capped at MAX_BACKOFF_SECONDS
+const backoffSeconds = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(2 ** (failures - 1), MAX_BACKOFF_SECONDS);
+};
+
+// ============================================
+// ATTEMPT KEYS
+// ============================================
+
+// Every attempt is tracked per IP, and per account when an email is given
+exports.getAttemptKeys = (req, email) => {
+  const keys = [{ type: 'ip', identifier: getClientIp(req) }];
+
+  if (email && typeof email === 'string') {
+    keys.push({ type: 'account', identifier: email.toLowerCase().trim() });
+  }
+
+  return keys;
+};
+
+// Second-factor codes get their own per-user counter. Only a correct code
+// clears it - a correct password clears the account key, so sharing that
+// key would let someone with the password reset the code guesses.
+exports.getTwoFactorKeys = (req, user) => {
+  return [
+    { type: 'ip', identifier: getClientIp(req) },
+    { type: 'two_factor', identifier: user._id.toString() },
+  ];
+};
+
+// ============================================
+// CHECK ATTEMPTS
+// ============================================
+
+// Returns { locked, retryAfter } when any key is locked or still backing off,
+// otherwise null.
+exports.checkAttempts = async (keys) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ $or: keys });
+
+  let locked = false;
+  let retryAfter = 0;
+
+  for (const attempt of attempts) {
+    if (attempt.isLocked()) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((attempt.lockedUntil - now) / 1000));
+    } else if (attempt.failures > 0 && attempt.lastFailureAt) {
+      const waitUntil = attempt.lastFailureAt.getTime() + backoffSeconds(attempt.failures) * 1000;
+      if (waitUntil > now) {
+        retryAfter = Math.max(retryAfter, Math.ceil((waitUntil - now) / 1000));
+      }
+    }
+  }
+
+  return retryAfter > 0 ? { locked, retryAfter } : null;
+};
+
+// 429 response for a blocked attempt
+exports.sendBlocked = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    locked,
+    retryAfter,
+    message: locked
+      ? 'Too many failed attempts. Please try again later or use the unlock link we emailed you.'
+      : `Too many failed attempts. Please wait ${retryAfter} seconds and try again.`,
+  });
+};
+
+// ============================================
+// RECORD FAILURE
+// ============================================
+
+// Lock the key once it reaches its failure limit. Each repeat lock lasts
+// twice as long as the previous one.
+const lockIfNeeded = async (attempt, user) => {
+  const maxFailures = attempt.type === 'ip' ? MAX_IP_FAILURES : MAX_ACCOUNT_FAILURES;
+  if (attempt.failures < maxFailures) return;
+
+  const lockMinutes = LOCK_MINUTES * 2 ** Math.min(attempt.lockCount, 5);
+  const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the request that crosses the limit locks (failures resets to 0)
+  const locked = await LoginAttempt.findOneAndUpdate(
+    { _id: attempt._id, failures: { $gte: maxFailures } },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        unlockTokenHash: hashToken(unlockToken),
+        expiresAt: new Date(lockedUntil.getTime() + ATTEMPT_TTL),
+      },
+      $inc: { lockCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!locked) return;
+
+  console.log(`🔒 Locked ${attempt.type} ${attempt.identifier} for ${lockMinutes} minutes`);
+
+  if (attempt.type !== 'ip' && user) {
+    try {
+      await mailService.sendTemplate('accountLocked', user.email, {
+        firstName: user.firstName,
+        lockedUntil,
+        unlockUrl: `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`,
+      });
+    } catch (error) {
+      console.error('❌ Account lock email failed:', error.message);
+    }
+  }
+};
+
+exports.recordFailure = async (keys, user = null) => {
+  const now = new Date();
+
+  for (const key of keys) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      key,
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + ATTEMPT_TTL),
+          ...(key.type !== 'ip' && user && { user: user._id }),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await lockIfNeeded(attempt, user);
+  }
+};
+
+// ============================================
+// CLEAR / UNLOCK
+// ============================================
+
+// Successful login / second factor - forget the account's failures (IP
+// failures stay)
+exports.clearAttempts = async (keys) => {
+  const accountKeys = keys.filter((key) => key.type !== 'ip');
+  if (accountKeys.length === 0) return;
+
+  await LoginAttempt.deleteMany({ $or: accountKeys });
+};
+
+// Unlock from the emailed link. Returns the attempt entry or null.
+exports.unlockWithToken = async (token) => {
+  if (!token) return null;
+
+  return await LoginAttempt.findOneAndUpdate(
+    { type: { $in: ['account', 'two_factor'] }, unlockTokenHash: hashToken(token) },
+    {
+      $set: { failures: 0 },
+      $unset: { lockedUntil: 1, unlockTokenHash: 1 },
+    },
+    { new: true }
+  );
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+exports.getLocks = async ({ type, status = 'locked', page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (type) query.type = type;
+  if (status === 'locked') query.lockedUntil = { $gt: new Date() };
+
+  const [locks, total] = await Promise.all([
+    LoginAttempt.find(query)
+      .populate('user', 'firstName lastName email username')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LoginAttempt.countDocuments(query),
+  ]);
+
+  return { locks, total };
+};
+
+exports.clearLock = async (id) => {
+  const result = await LoginAttempt.deleteOne({ _id: id });
+  return result.deletedCount > 0;
+};
+
+module.exports = exports;
@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Settings = require('../models/Settings');
+const Comment = require('../models/Comment');
+const MediaComment = require('../models/MediaComment');
+const Message = require('../models/Message');
+const Story = require('../models/Story');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const { Badge } = require('../models/Badge');
+const pointsService = require('./pointsService');
+const mailService = require('./mailService');
+const { createZip } = require('../utils/zip');
+const { uploadPrivateFile, getPrivateDownloadUrl, deletePrivateFile } = require('../config/cloudinary');
+
+const EXPORT_FOLDER = 'nelly-korda/data-exports';
+const LINK_EXPIRE_HOURS = parseInt(process.env.DATA_EXPORT_LINK_HOURS) || 48;
+
+// Never exported: secrets and one-time tokens
+const USER_PRIVATE_FIELDS = [
+  '-resetPasswordToken',
+  '-resetPasswordExpire',
+  '-verificationToken',
+  '-verificationTokenExpire',
+].join(' ');
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const idEquals = (a, b) => !!a && a.toString() === b.toString();
+
+const toJsonFile = (name, data) => ({
+  name,
+  content: JSON.stringify(data, null, 2),
+});
+
+// ============================================
+// GATHER USER DATA
+// ============================================
+
+// Stories the user viewed, liked, commented on or voted in
+const getStoryInteractions = async (userId) => {
+  const stories = await Story.find({
+    $or: [
+      { 'viewers.user': userId },
+      { 'likes.user': userId },
+      { 'comments.user': userId },
+      { 'poll.options.votes': userId },
+    ],
+  })
+    .select('author caption createdAt viewers likes comments poll')
+    .lean();
+
+  return stories.map((story) => {
+    const view = story.viewers.find((entry) => idEquals(entry.user, userId));
+    const like = story.likes.find((entry) => idEquals(entry.user, userId));
+
+    return {
+      story: story._id,
+      author: story.author,
+      caption: story.caption,
+      postedAt: story.createdAt,
+      viewedAt: view?.viewedAt || null,
+      likedAt: like?.likedAt || null,
+      comments: story.comments
+        .filter((entry) => idEquals(entry.user, userId))
+        .map((entry) => ({ text: entry.text, createdAt: entry.createdAt })),
+      pollVotes: (story.poll?.options || [])
+        .filter((option) => option.votes.some((vote) => idEquals(vote, userId)))
+        .map((option) => option.text),
+    };
+  });
+};
+
+// Events the user RSVP'd to
+const getEventRsvps = async (userId) => {
+  const events = await Event.find({ 'attendees.user': userId })
+    .select('title startDate endDate location attendees')
+    .lean();
+
+  return events.map((event) => {
+    const rsvp = event.attendees.find((entry) => idEquals(entry.user, userId));
+
+    return {
+      event: event._id,
+      title: event.title,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      location: event.location,
+      status: rsvp.status,
+      joinedAt: rsvp.joinedAt,
+    };
+  });
+};
+
+// Every file the user uploaded, by where it came from
+const collectMediaUrls = ({ user, profile, comments, messages, eventPhotos }) => {
+  const urls = [];
+
+  if (user.avatar?.publicId) {
+    urls.push({ source: 'avatar', url: user.avatar.url });
+  }
+  if (profile?.coverPhoto?.url) {
+    urls.push({ source: 'cover_photo', url: profile.coverPhoto.url });
+  }
+  (profile?.gallery || []).forEach((item) => {
+    urls.push({ source: 'gallery', url: item.url, caption: item.caption });
+  });
+  comments
+    .filter((comment) => comment.media?.url)
+    .forEach((comment) => urls.push({ source: 'comment', id: comment._id, url: comment.media.url }));
+  messages
+    .filter((message) => idEquals(message.sender, user._id) && message.media?.url)
+    .forEach((message) => urls.push({ source: 'message', id: message._id, url: message.media.url }));
+  eventPhotos.forEach((photo) => {
+    urls.push({ source: 'event_photo', event: photo.event, url: photo.url });
+  });
+
+  return urls;
+};
+
+// Build the archive contents for a user
+exports.gatherUserData = async (userId) => {
+  const user = await User.findById(userId).select(USER_PRIVATE_FIELDS).lean();
+  if (!user) throw new Error('User not found');
+
+  const [
+    profile,
+    settings,
+    comments,
+    mediaComments,
+    messages,
+    storyInteractions,
+    eventRsvps,
+    badges,
+    pointsResult,
+    notifications,
+    eventsWithPhotos,
+  ] = await Promise.all([
+    Profile.findOne({ user: userId }).lean(),
+    Settings.findOne({ user: userId }).select('-security.activeSessions.refreshTokenHash').lean(),
+    Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    MediaComment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Message.find({
+      $or: [{ sender: userId }, { receiver: userId }],
+      deletedFor: { $ne: userId },
+    })
+      .sort({ createdAt: 1 })
+      .lean(),
+    getStoryInteractions(userId),
+    getEventRsvps(userId),
+    Badge.find({ userId }).sort({ earnedAt: 1 }).lean(),
+    pointsService.getUserStats(userId),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    Event.find({ 'photos.uploadedBy': userId }).select('photos').lean(),
+  ]);
+
+  const eventPhotos = eventsWithPhotos.flatMap((event) =>
+    event.photos
+      .filter((photo) => idEquals(photo.uploadedBy, userId))
+      .map((photo) => ({ event: event._id, url: photo.url }))
+  );
+
+  const points = pointsResult.success
+    ? pointsResult.stats
+    : { totalPoints: user.stats?.points || 0 };
+
+  return {
+    user,
+    profile,
+    settings,
+    comments,
+    mediaComments,
+    messages,
+    storyInteractions,
+    eventRsvps,
+    badges,
+    points,
+    notifications,
+    mediaUrls: collectMediaUrls({ user, profile, comments, messages, eventPhotos }),
+  };
+};
+
+const buildArchive = (data, generatedAt) => {
+  const readme = [
+    'Nelly Korda - personal data export',
+    `Generated: ${generatedAt.toUTCString()}`,
+    '',
+    'user.json                 Your account',
+    'profile.json              Your profile',
+    'settings.json             Your settings',
+    'comments.json             Comments you wrote on posts',
+    'media-comments.json       Comments you wrote on photos and videos',
+    'messages.json             Messages you sent and received',
+    'story-interactions.json   Stories you viewed, liked, commented on or voted in',
+    'event-rsvps.json          Events you RSVP\'d to',
+    'badges.json               Badges you earned',
+    'points.json               Your points and level',
+    'notifications.json        Your notifications',
+    'media-urls.json           Links to the photos and files you uploaded',
+  ].join('\n');
+
+  return createZip([
+    { name: 'README.txt', content: readme },
+    toJsonFile('user.json', data.user),
+    toJsonFile('profile.json', data.profile),
+    toJsonFile('settings.json', data.settings),
+    toJsonFile('comments.json', data.comments),
+    toJsonFile('media-comments.json', data.mediaComments),
+    toJsonFile('messages.json', data.messages),
+    toJsonFile('story-interactions.json', data.storyInteractions),
+    toJsonFile('event-rsvps.json', data.eventRsvps),
+    toJsonFile('badges.json', data.badges),
+    toJsonFile('points.json', data.points),
+    toJsonFile('notifications.json', data.notifications),
+    toJsonFile('media-urls.json', data.mediaUrls),
+  ], generatedAt);
+};
+
+// ============================================
+// REQUEST EXPORT
+// ============================================
+
+// Start an export unless one is already being prepared. Returns
+// { dataExport, alreadyRunning }.
+exports.requestExport = async (userId, io) => {
+  const running = await DataExport.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] },
+  });
+
+  if (running) {
+    return { dataExport: running, alreadyRunning: true };
+  }
+
+  const dataExport = await DataExport.create({ user: userId });
+
+  // Build in the background - the request returns straight away
+  setImmediate(() => {
+    exports.processExport(dataExport._id, io).catch((error) => {
+      console.error(`❌ Data export ${dataExport._id} failed:`, error.message);
+    });
+  });
+
+  return { dataExport, alreadyRunning: false };
+};
+
+// ============================================
+// PROCESS EXPORT
+// ============================================
+
+exports.processExport = async (exportId, io = null) => {
+  // Claim the job so it only runs once
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+
+  if (!dataExport) return null;
+
+  try {
+    const generatedAt = new Date();
+    const data = await exports.gatherUserData(dataExport.user);
+    const archive = buildArchive(data, generatedAt);
+
+    const fileName = `nelly-data-export-${generatedAt.toISOString().slice(0, 10)}.zip`;
+    const upload = await uploadPrivateFile(archive, {
+      folder: EXPORT_FOLDER,
+      publicId: `${dataExport._id}.zip`,
+    });
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + LINK_EXPIRE_HOURS * 60 * 60 * 1000);
+
+    dataExport.status = 'ready';
+    dataExport.fileName = fileName;
+    dataExport.storageId = upload.public_id;
+    dataExport.fileSize = archive.length;
+    dataExport.downloadTokenHash = hashToken(downloadToken);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = expiresAt;
+    await dataExport.save();
+
+    console.log(`📦 Data export ready for user ${dataExport.user} (${archive.length} bytes)`);
+
+    await notifyReady(data.user, dataExport, downloadToken, io);
+
+    return dataExport;
+  } catch (error) {
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+
+    // The user is waiting on this export, so a failure is reported too
+    try {
+      await notifyFailed(dataExport, io);
+    } catch (notifyError) {
+      console.error('❌ Failed to report data export failure:', notifyError.message);
+    }
+
+    throw error;
+  }
+};
+
+const notifyReady = async (user, dataExport, downloadToken, io) => {
+  const downloadUrl = `${process.env.FRONTEND_URL}/data-export/${dataExport._id}/${downloadToken}`;
+
+  if (io) {
+    io.to(user._id.toString()).emit('data:export:ready', {
+      exportId: dataExport._id,
+      expiresAt: dataExport.expiresAt,
+    });
+  }
+
+  // Account notices come from the account itself (see loginService). The
+  // download token only goes out by email.
+  await Notification.create({
+    recipient: user._id,
+    sender: user._id,
+    type: 'data_export',
+    content: 'Your data export is ready. Use the link we emailed you to download it.',
+    link: `/data-export/${dataExport._id}`,
+  });
+
+  try {
+    await mailService.sendTemplate('dataExportReady', user.email, {
+      firstName: user.firstName,
+      downloadUrl,
+      expiresAt: dataExport.expiresAt,
+    });
+  } catch (error) {
+    console.error('❌ Data export email failed:', error.message);
+  }
+};
+
+const notifyFailed = async (dataExport, io) => {
+  const user = await User.findById(dataExport.user).select('firstName email');
+  if (!user) return;
+
+  if (io) {
+    io.to(user._id.toString()).emit('data:export:failed', {
+      exportId: dataExport._id,
+    });
+  }
+
+  await Notification.create({
+    recipient: user._id,
+    sender: user._id,
+    type: 'data_export',
+    content: 'Your data export could not be prepared. Please request a new one.',
+    link: `/data-export/${dataExport._id}`,
+  });
+
+  try {
+    await mailService.sendTemplate('dataExportFailed', user.email, {
+      firstName: user.firstName,
+    });
+  } catch (error) {
+    console.error('❌ Data export failure email failed:', error.message);
+  }
+};
+
+// ============================================
+// DOWNLOAD
+// ============================================
+
+// Returns a short-lived signed URL to the archive for a valid, unexpired
+// link, or null
+exports.getDownloadUrl = async (exportId, token) => {
+  if (!token) return null;
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    downloadTokenHash: hashToken(token),
+  }).select('+storageId');
+
+  if (!dataExport || !dataExport.isDownloadable() || !dataExport.storageId) return null;
+
+  await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+  return getPrivateDownloadUrl(dataExport.storageId);
+};
+
+// ============================================
+// CLEANUP (cron)
+// ============================================
+
+// Delete archives whose links have expired and restart jobs that were
+// interrupted (e.g. by a server restart)
+exports.cleanupExports = async () => {
+  const expired = await DataExport.find({
+    status: 'ready',
+    expiresAt: { $lte: new Date() },
+  }).select('+storageId');
+
+  for (const dataExport of expired) {
+    try {
+      if (dataExport.storageId) await deletePrivateFile(dataExport.storageId);
+    } catch (error) {
+      console.error(`❌ Failed to delete export file ${dataExport.storageId}:`, error.message);
+    }
+    dataExport.status = 'expired';
+    dataExport.storageId = undefined;
+    dataExport.downloadTokenHash = undefined;
+    await dataExport.save();
+  }
+
+  const staleBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const stale = await DataExport.find({
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $lte: staleBefore },
+  }).select('_id');
+
+  for (const { _id } of stale) {
+    try {
+      await DataExport.updateOne({ _id }, { $set: { status: 'pending' } });
+      await exports.processExport(_id);
+    } catch (error) {
+      console.error(`❌ Data export ${_id} failed:`, error.message);
+    }
+  }
+
+  return { expired: expired.length, restarted: stale.length };
+};
+
+module.exports = exports;
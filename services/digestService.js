@@ -0,0 +1,64 @@
+const Settings = require('../models/Settings');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const mailService = require('./mailService');
+
+// ============================================
+// SEND WEEKLY DIGEST EMAILS
+// ============================================
+
+// Emails every user who opted in to notifications.weeklyDigest a summary of
+// the week's top posts and their unread notification count.
+exports.sendWeeklyDigests = async () => {
+  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const frontendUrl = process.env.FRONTEND_URL || '';
+
+  const topPosts = await Post.find({
+    status: 'published',
+    createdAt: { $gte: oneWeekAgo },
+  })
+    .sort({ likesCount: -1, commentsCount: -1 })
+    .limit(5)
+    .select('caption likesCount commentsCount')
+    .lean();
+
+  const posts = topPosts.map((post) => ({
+    title: post.caption ? post.caption.slice(0, 80) : 'New post',
+    url: `${frontendUrl}/post/${post._id}`,
+    likesCount: post.likesCount,
+    commentsCount: post.commentsCount,
+  }));
+
+  const subscribers = await Settings.find({
+    'notifications.weeklyDigest': true,
+    'notifications.emailNotifications': true,
+  })
+    .populate('user', 'firstName email isActive')
+    .select('user');
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { user } of subscribers) {
+    if (!user || !user.isActive) continue;
+
+    try {
+      const unreadNotifications = await Notification.getUnreadCount(user._id);
+
+      await mailService.sendTemplate('weeklyDigest', user.email, {
+        firstName: user.firstName,
+        posts,
+        unreadNotifications,
+        feedUrl: `${frontendUrl}/`,
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(`❌ Weekly digest failed for ${user.email}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+module.exports = exports;
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const FeedConfig = require('../models/FeedConfig');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const postViewService = require('./postViewService');
+const { extractHashtags } = require('../utils/trendingUtils');
+const { CursorError } = require('../utils/pagination');
+
+// Newest posts in the window that get ranked
+const CANDIDATE_LIMIT = 500;
+// How far back the viewer's likes and comments shape their affinities
+const AFFINITY_LOOKBACK_DAYS = 60;
+const AFFINITY_MAX_POSTS = 200;
+// How long a ranked feed can be paged through before it has to be reopened
+const SNAPSHOT_MINUTES = 30;
+
+const HOUR = 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Caption hashtags plus tags, as "#tag"
+const getPostHashtags = (post) => {
+  const tags = (post.tags || []).map((tag) => `#${tag.toLowerCase().replace(/^#/, '')}`);
+  return [...new Set([...extractHashtags(post.caption), ...tags])];
+};
+
+const increment = (counts, key) => {
+  counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+// Share of the viewer's strongest affinity, 0..1
+const affinityScore = (counts, keys) => {
+  if (counts.size === 0) return 0;
+  const max = Math.max(...counts.values());
+  return Math.max(0, ...keys.map((key) => (counts.get(key) || 0) / max));
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// ============================================
+// VIEWER AFFINITY
+// ============================================
+
+// Hashtags and tournaments of the posts the viewer recently liked or
+// commented on, with how often each came up
+exports.getViewerAffinity = async (viewerId) => {
+  const hashtags = new Map();
+  const tournaments = new Map();
+
+  if (!viewerId) return { hashtags, tournaments };
+
+  const since = new Date(Date.now() - AFFINITY_LOOKBACK_DAYS * 24 * HOUR);
+
+  const [likedPosts, commentedPostIds] = await Promise.all([
+    Post.find({ likes: { $elemMatch: { user: viewerId, createdAt: { $gte: since } } } })
+      .select('caption tags tournament')
+      .sort({ createdAt: -1 })
+      .limit(AFFINITY_MAX_POSTS)
+      .lean(),
+    Comment.distinct('post', { author: viewerId, createdAt: { $gte: since } }),
+  ]);
+
+  const commentedPosts = await Post.find({ _id: { $in: commentedPostIds.slice(0, AFFINITY_MAX_POSTS) } })
+    .select('caption tags tournament')
+    .lean();
+
+  for (const post of [...likedPosts, ...commentedPosts]) {
+    getPostHashtags(post).forEach((hashtag) => increment(hashtags, hashtag));
+    if (post.tournament) increment(tournaments, post.tournament.toString());
+  }
+
+  return { hashtags, tournaments };
+};
+
+// ============================================
+// SCORING
+// ============================================
+
+// Interactions per hour since posting, comments and shares count more
+const getVelocity = (post, now) => {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt)) / HOUR);
+  const interactions = (post.likesCount || 0) + 2 * (post.commentsCount || 0) + 3 * (post.sharesCount || 0);
+  return { ageHours, velocity: interactions / (ageHours + 2) };
+};
+
+// Engagement is scored against the fastest of the ranked posts
+exports.getMaxVelocity = (posts, now = Date.now()) => {
+  return Math.max(0, ...posts.map((post) => getVelocity(post, now).velocity));
+};
+
+// Score each post and return them pinned first, then by score. Each post
+// gets ranking: { score, breakdown } where every signal lists its value
+// (0..1), weight and contribution to the score. affinity is
+// getViewerAffinity's result plus seenPosts (a Set of post ids). Pass
+// maxVelocity to score a page of posts against the whole ranking.
+exports.rankPosts = (posts, config, affinity, maxVelocity = exports.getMaxVelocity(posts)) => {
+  const now = Date.now();
+  const { weights, recencyHalfLifeHours } = config;
+
+  const ranked = posts.map((post) => {
+    const { ageHours, velocity } = getVelocity(post, now);
+    const seen = affinity.seenPosts.has(post._id.toString());
+
+    const signals = {
+      recency: [0.5 ** (ageHours / recencyHalfLifeHours), weights.recency],
+      engagement: [maxVelocity > 0 ? Math.log1p(velocity) / Math.log1p(maxVelocity) : 0, weights.engagement],
+      hashtagAffinity: [affinityScore(affinity.hashtags, getPostHashtags(post)), weights.hashtagAffinity],
+      tournamentAffinity: [
+        post.tournament ? affinityScore(affinity.tournaments, [post.tournament.toString()]) : 0,
+        weights.tournamentAffinity,
+      ],
+      seen: [seen ? 1 : 0, -weights.seenPenalty],
+    };
+
+    const breakdown = {};
+    let score = 0;
+    for (const [signal, [value, weight]] of Object.entries(signals)) {
+      const contribution = value * weight;
+      breakdown[signal] = { value: round(value), weight, contribution: round(contribution) };
+      score += contribution;
+    }
+
+    return { ...post, ranking: { score: round(score), breakdown } };
+  });
+
+  return ranked.sort((a, b) => {
+    if (a.isPinned !== b.isPinned) return a.isPinned ? -1 : 1;
+    if (a.ranking.score !== b.ranking.score) return b.ranking.score - a.ranking.score;
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  });
+};
+
+// ============================================
+// RANKED FEED
+// ============================================
+
+const POPULATE = [
+  { path: 'author', select: 'firstName lastName avatar username role' },
+  { path: 'tournament', select: 'name location startDate' },
+];
+
+// Cursors point into a snapshot: { s: snapshot id, o: offset }
+const encodeFeedCursor = (snapshotId, offset) => {
+  return Buffer.from(JSON.stringify({ s: snapshotId.toString(), o: offset })).toString('base64url');
+};
+
+const decodeFeedCursor = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (mongoose.Types.ObjectId.isValid(payload?.s) && Number.isInteger(payload.o) && payload.o >= 0) {
+      return { snapshotId: payload.s, offset: payload.o };
+    }
+  } catch (error) {
+    // Falls through to the invalid cursor error
+  }
+  throw new CursorError();
+};
+
+// Affinity plus which of the posts the viewer has already seen
+const getAffinity = async (viewerId, postIds) => {
+  const affinity = await exports.getViewerAffinity(viewerId);
+  affinity.seenPosts = await postViewService.getViewedPostIds(viewerId, postIds);
+  return affinity;
+};
+
+// Rank the candidates for a getPosts query. Pinned posts are always
+// candidates; other posts come from the config's window. Returns the post
+// ids in ranked order and the maxVelocity they were scored against.
+const rankCandidates = async (query, viewerId, config) => {
+  const since = new Date(Date.now() - config.candidateWindowDays * 24 * HOUR);
+
+  const candidates = await Post.find({ ...query, $or: [{ isPinned: true }, { createdAt: { $gte: since } }] })
+    .select('-comments')
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  const affinity = await getAffinity(viewerId, candidates.map((post) => post._id));
+  const maxVelocity = exports.getMaxVelocity(candidates);
+  const ranked = exports.rankPosts(candidates, config, affinity, maxVelocity);
+
+  return { postIds: ranked.map((post) => post._id), maxVelocity };
+};
+
+// The posts for a slice of the ranking, scored again for the breakdown.
+// Scores move with time, so a snapshot page keeps the frozen order even if
+// its breakdowns no longer sort the same way.
+const getPage = async (query, viewerId, config, postIds, maxVelocity) => {
+  // Posts deleted or unpublished since the ranking drop out of the page
+  const found = await Post.find({ ...query, _id: { $in: postIds } })
+    .select('-comments')
+    .populate(POPULATE)
+    .lean();
+
+  const affinity = await getAffinity(viewerId, found.map((post) => post._id));
+  const rankings = new Map(
+    exports.rankPosts(found, config, affinity, maxVelocity).map((post) => [post._id.toString(), post.ranking])
+  );
+  const postsById = new Map(found.map((post) => [post._id.toString(), post]));
+
+  return postIds
+    .filter((id) => postsById.has(id.toString()))
+    .map((id) => ({ ...postsById.get(id.toString()), ranking: rankings.get(id.toString()) }));
+};
+
+// One page of the "for you" feed. Returns { posts, total, nextCursor,
+// prevCursor } - each post carries its ranking.
+//
+// Signed-in viewers: without a cursor the feed is ranked afresh (skip
+// applies to that ranking) and the order is frozen in a snapshot; with one,
+// the page continues the snapshot the cursor came from. Signed-out viewers
+// only page with skip - their ranking has no per-viewer signals, and the
+// route is public, so it is never written down.
+exports.getRankedFeed = async (query, viewerId, { skip = 0, limit = 10, cursor } = {}) => {
+  const config = await FeedConfig.getConfig();
+
+  if (!viewerId) {
+    if (cursor) throw new CursorError();
+
+    const { postIds, maxVelocity } = await rankCandidates(query, null, config);
+    const posts = await getPage(query, null, config, postIds.slice(skip, skip + limit), maxVelocity);
+
+    return { posts, total: postIds.length, nextCursor: null, prevCursor: null };
+  }
+
+  let snapshot;
+  let offset = skip;
+
+  if (cursor) {
+    const decoded = decodeFeedCursor(cursor);
+    snapshot = await FeedSnapshot.findOne({ _id: decoded.snapshotId, viewer: viewerId });
+    if (!snapshot) throw new CursorError();
+    offset = decoded.offset;
+  } else {
+    const { postIds, maxVelocity } = await rankCandidates(query, viewerId, config);
+    snapshot = await FeedSnapshot.create({
+      viewer: viewerId,
+      posts: postIds,
+      maxVelocity,
+      expiresAt: new Date(Date.now() + SNAPSHOT_MINUTES * 60 * 1000),
+    });
+  }
+
+  const postIds = snapshot.posts.slice(offset, offset + limit);
+  const posts = await getPage(query, viewerId, config, postIds, snapshot.maxVelocity);
+  const end = offset + postIds.length;
+
+  return {
+    posts,
+    total: snapshot.posts.length,
+    nextCursor: end < snapshot.posts.length ? encodeFeedCursor(snapshot._id, end) : null,
+    prevCursor: offset > 0 ? encodeFeedCursor(snapshot._id, Math.max(offset - limit, 0)) : null,
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,163 @@
+const jwt = require('jsonwebtoken');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const User = require('../models/User');
+const { isSessionActive } = require('./sessionService');
+const { getClientIp } = require('../utils/requestInfo');
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 15;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+exports.READ_METHODS = READ_METHODS;
+
+// ============================================
+// START / END
+// ============================================
+
+// Returns { impersonation, token }. The token carries both identities:
+// id is the impersonated user, imp.by the admin, sid the admin's session.
+exports.startImpersonation = async (admin, user, adminSessionId, reason) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000);
+
+  const impersonation = await Impersonation.create({
+    admin: admin._id,
+    user: user._id,
+    reason,
+    adminSessionId,
+    expiresAt,
+  });
+
+  const token = jwt.sign(
+    {
+      id: user._id,
+      sid: adminSessionId,
+      imp: { by: admin._id, iid: impersonation._id },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_MINUTES * 60 }
+  );
+
+  console.log(`👁️ ${admin.email} started viewing as ${user.email} (${impersonation._id})`);
+
+  return { impersonation, token };
+};
+
+exports.endImpersonation = async (impersonationId, adminId) => {
+  return await Impersonation.findOneAndUpdate(
+    { _id: impersonationId, admin: adminId, endedAt: null },
+    { $set: { endedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// ============================================
+// RESOLVE TOKEN
+// ============================================
+
+// Returns { impersonation, admin, user } for a decoded impersonation token
+// that is still valid, otherwise null
+exports.resolveImpersonation = async (decoded) => {
+  const { by, iid } = decoded.imp || {};
+  if (!by || !iid) return null;
+
+  // Ends with the admin's own session (logout, "log out everywhere")
+  if (!(await isSessionActive(by, decoded.sid))) return null;
+
+  const impersonation = await Impersonation.findById(iid);
+  if (
+    !impersonation ||
+    !impersonation.isActive() ||
+    impersonation.admin.toString() !== by.toString() ||
+    impersonation.user.toString() !== decoded.id.toString()
+  ) {
+    return null;
+  }
+
+  const [admin, user] = await Promise.all([
+    User.findById(by),
+    User.findById(decoded.id),
+  ]);
+
+  // The admin must still be allowed to impersonate
+  if (!admin || !admin.isActive || !admin.hasPermission('users.impersonate')) return null;
+  if (!user) return null;
+
+  return { impersonation, admin, user };
+};
+
+// ============================================
+// REQUEST LOG
+// ============================================
+
+// Record the request once the response is sent (so the status is known)
+exports.recordRequest = (req, res, impersonation) => {
+  const blocked = !READ_METHODS.includes(req.method);
+
+  res.on('finish', () => {
+    Promise.all([
+      ImpersonationLog.create({
+        impersonation: impersonation._id,
+        admin: impersonation.admin,
+        user: impersonation.user,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        blocked,
+        ipAddress: getClientIp(req),
+      }),
+      Impersonation.updateOne({ _id: impersonation._id }, { $inc: { requestCount: 1 } }),
+    ]).catch((error) => {
+      console.error('❌ Failed to record impersonated request:', error.message);
+    });
+  });
+};
+
+// ============================================
+// HISTORY
+// ============================================
+
+// Impersonation sessions on a user's account with the requests made in them
+exports.getUserHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [sessions, total] = await Promise.all([
+    Impersonation.find({ user: userId })
+      .populate('admin', 'firstName lastName username avatar')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Impersonation.countDocuments({ user: userId }),
+  ]);
+
+  const logs = await ImpersonationLog.find({ impersonation: { $in: sessions.map((session) => session._id) } })
+    .select('impersonation method path statusCode blocked createdAt')
+    .sort({ createdAt: 1 });
+
+  const history = sessions.map((session) => ({
+    ...session.toObject(),
+    adminSessionId: undefined,
+    requests: logs.filter((log) => log.impersonation.equals(session._id)),
+  }));
+
+  return { history, total };
+};
+
+exports.getImpersonations = async ({ status = 'active', page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status === 'active') {
+    query.endedAt = null;
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  const [impersonations, total] = await Promise.all([
+    Impersonation.find(query)
+      .populate('admin', 'firstName lastName username')
+      .populate('user', 'firstName lastName username email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Impersonation.countDocuments(query),
+  ]);
+
+  return { impersonations, total };
+};
+
+module.exports = exports;
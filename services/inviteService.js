@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const AdminInvite = require('../models/AdminInvite');
+const User = require('../models/User');
+const mailService = require('./mailService');
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.ADMIN_INVITE_EXPIRE_DAYS) || 7;
+
+const ROLE_BADGES = {
+  admin: {
+    name: 'Administrator',
+    icon: '👑',
+    description: 'Platform Administrator',
+  },
+  moderator: {
+    name: 'Moderator',
+    icon: '🛡️',
+    description: 'Community Moderator',
+  },
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// ============================================
+// SECRET KEY BOOTSTRAP
+// ============================================
+
+// ADMIN_SECRET_KEY only creates the very first admin. Once an admin exists,
+// new team members have to be invited.
+exports.isSecretKeyRegistrationOpen = async () => {
+  if (!process.env.ADMIN_SECRET_KEY) return false;
+  return !(await User.exists({ role: 'admin' }));
+};
+
+// ============================================
+// CREATE INVITE
+// ============================================
+
+// Returns the invite; the plain token only goes out in the email
+exports.createInvite = async ({ email, role, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Only one pending invite per email - a new one replaces the old
+  await AdminInvite.updateMany(
+    { email: email.toLowerCase().trim(), status: 'pending' },
+    { $set: { status: 'revoked', revokedBy: invitedBy._id, revokedAt: new Date() } }
+  );
+
+  const invite = await AdminInvite.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: invitedBy._id,
+    expiresAt: new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  try {
+    await mailService.sendTemplate('adminInvite', invite.email, {
+      inviterName: invitedBy.fullName,
+      role,
+      inviteUrl: `${process.env.FRONTEND_URL}/admin-invite/${token}`,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (error) {
+    console.error('❌ Admin invite email failed:', error.message);
+  }
+
+  return invite;
+};
+
+// ============================================
+// FIND / ACCEPT
+// ============================================
+
+// Returns the pending, unexpired invite for a token, or null
+exports.findUsableInvite = async (token) => {
+  if (!token) return null;
+
+  const invite = await AdminInvite.findOne({ tokenHash: hashToken(token) });
+  return invite && invite.isUsable() ? invite : null;
+};
+
+// Claim the invite (single use) and give the user its role. Returns the
+// accepted invite, or null if someone else used it first.
+exports.acceptInvite = async (invite, user) => {
+  const accepted = await AdminInvite.findOneAndUpdate(
+    { _id: invite._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!accepted) return null;
+
+  // Never downgrade an existing admin who accepts a moderator invite
+  if (user.role !== 'admin') {
+    user.role = accepted.role;
+  }
+  // The invite link proves the email address
+  user.isVerified = true;
+
+  const badge = ROLE_BADGES[accepted.role];
+  if (!user.badges.some((existing) => existing.name === badge.name)) {
+    user.badges.push({ ...badge, earnedAt: new Date() });
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  console.log(`✅ ${user.email} joined as ${accepted.role} (invite ${accepted._id})`);
+
+  return accepted;
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+exports.getInvites = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status === 'pending') {
+    query.status = 'pending';
+    query.expiresAt = { $gt: new Date() };
+  } else if (status === 'expired') {
+    query.status = 'pending';
+    query.expiresAt = { $lte: new Date() };
+  } else if (status !== 'all') {
+    query.status = status;
+  }
+
+  const [invites, total] = await Promise.all([
+    AdminInvite.find(query)
+      .populate('invitedBy', 'firstName lastName username')
+      .populate('acceptedBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AdminInvite.countDocuments(query),
+  ]);
+
+  return { invites, total };
+};
+
+exports.revokeInvite = async (id, revokedBy) => {
+  return await AdminInvite.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'revoked', revokedBy: revokedBy._id, revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = exports;
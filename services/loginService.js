@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const LoginApproval = require('../models/LoginApproval');
+const LoginHistory = require('../models/LoginHistory');
+const Notification = require('../models/Notification');
+const mailService = require('./mailService');
+const accountDeletionService = require('./accountDeletionService');
+const { getDeviceId, getDeviceInfo, hashDeviceSecret } = require('../utils/requestInfo');
+const { sendTokenResponse, generateChallengeToken, setDeviceCookie } = require('../utils/tokenGenerator');
+
+const APPROVAL_EXPIRE_MINUTES = 10;
+const REPORT_LINK_EXPIRE_DAYS = parseInt(process.env.LOGIN_ALERT_LINK_EXPIRE_DAYS) || 7;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// ============================================
+// TRUSTED DEVICES
+// ============================================
+
+// Id of the requesting device. A device without one is given a random
+// secret in a signed httpOnly cookie; its hash becomes the id for the rest
+// of this request and every later one.
+exports.identifyDevice = (req, res) => {
+  const existing = getDeviceId(req);
+  if (existing) return existing;
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  setDeviceCookie(res, secret);
+  req.deviceId = hashDeviceSecret(secret);
+  return req.deviceId;
+};
+
+exports.isTrustedDevice = (settings, deviceId) => {
+  return !!deviceId && !!settings?.security?.trustedDevices?.some(
+    (device) => device.deviceId === deviceId
+  );
+};
+
+// Add (or refresh) a device in the user's trusted list
+exports.trustDevice = async (userId, device) => {
+  const now = new Date();
+
+  await Settings.updateOne(
+    { user: userId },
+    { $pull: { 'security.trustedDevices': { deviceId: device.deviceId } } }
+  );
+
+  await Settings.findOneAndUpdate(
+    { user: userId },
+    {
+      $push: {
+        'security.trustedDevices': {
+          deviceId: device.deviceId,
+          deviceName: device.deviceName,
+          deviceType: device.deviceType,
+          lastUsed: now,
+          addedAt: now,
+        },
+      },
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// ============================================
+// LOGIN APPROVAL REQUEST
+// ============================================
+
+// Holds the login and asks the account owner to approve it from an existing
+// session (socket event + notification) or from the emailed link.
+const requestApproval = async (user, req, device) => {
+  const emailToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + APPROVAL_EXPIRE_MINUTES * 60 * 1000);
+
+  const approval = await LoginApproval.create({
+    user: user._id,
+    device: {
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      deviceType: device.deviceType,
+      browser: device.browser,
+      os: device.os,
+      ipAddress: device.ipAddress,
+    },
+    emailTokenHash: hashToken(emailToken),
+    expiresAt,
+  });
+
+  const payload = {
+    requestId: approval._id,
+    deviceName: device.deviceName,
+    ipAddress: device.ipAddress,
+    expiresAt,
+  };
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(user._id.toString()).emit('login:approval:requested', payload);
+  }
+
+  // Security notices come from the account itself, so create directly
+  // (createNotification skips self-notifications)
+  await Notification.create({
+    recipient: user._id,
+    sender: user._id,
+    type: 'login_approval',
+    content: `New sign-in attempt from ${device.deviceName} (${device.ipAddress}). Approve or deny it.`,
+    link: `/settings/security/login-approvals/${approval._id}`,
+  });
+
+  try {
+    await mailService.sendTemplate('loginApproval', user.email, {
+      firstName: user.firstName,
+      deviceName: device.deviceName,
+      ipAddress: device.ipAddress,
+      time: approval.createdAt,
+      approveUrl: `${process.env.FRONTEND_URL}/login-approval/${emailToken}`,
+      expiresInMinutes: APPROVAL_EXPIRE_MINUTES,
+    });
+  } catch (error) {
+    console.error('❌ Login approval email failed:', error.message);
+  }
+
+  return approval;
+};
+
+// ============================================
+// LOGIN HISTORY + ALERTS
+// ============================================
+
+// Record a successful login. When the device/IP combination is new for the
+// account (and alerts are on), notify the user and email a "this wasn't me"
+// link that can revoke the session.
+exports.recordLoginEvent = async (user, req, sessionId, { alert = true } = {}) => {
+  const device = getDeviceInfo(req);
+
+  const seenBefore = await LoginHistory.exists({
+    user: user._id,
+    deviceId: device.deviceId,
+    ipAddress: device.ipAddress,
+  });
+
+  const entry = new LoginHistory({
+    user: user._id,
+    sessionId,
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    deviceType: device.deviceType,
+    browser: device.browser,
+    os: device.os,
+    userAgent: device.userAgent,
+    ipAddress: device.ipAddress,
+    isNewDevice: !seenBefore,
+  });
+
+  const settings = await Settings.findOne({ user: user._id }).select('security.loginAlerts');
+  const alertsEnabled = settings?.security?.loginAlerts !== false;
+
+  if (!alert || seenBefore || !alertsEnabled) {
+    await entry.save();
+    return entry;
+  }
+
+  const reportToken = crypto.randomBytes(32).toString('hex');
+  entry.reportTokenHash = hashToken(reportToken);
+  entry.reportTokenExpire = new Date(Date.now() + REPORT_LINK_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+  await entry.save();
+
+  await Notification.create({
+    recipient: user._id,
+    sender: user._id,
+    type: 'login_alert',
+    content: `New sign-in from ${device.deviceName} (${device.ipAddress}). If this wasn't you, secure your account.`,
+    link: '/settings/security',
+  });
+
+  try {
+    await mailService.sendTemplate('loginAlert', user.email, {
+      firstName: user.firstName,
+      deviceName: device.deviceName,
+      ipAddress: device.ipAddress,
+      time: entry.createdAt,
+      notMeUrl: `${process.env.FRONTEND_URL}/login-alert/${reportToken}`,
+    });
+  } catch (error) {
+    console.error('❌ Login alert email failed:', error.message);
+  }
+
+  return entry;
+};
+
+// Record the login, start a session and send tokens
+exports.startSession = async (user, req, res) => {
+  // Logging in during the deletion grace period cancels the deletion
+  if (user.isPendingDeletion()) {
+    await accountDeletionService.cancelDeletion(user);
+    console.log(`♻️ Account ${user._id} reactivated - scheduled deletion cancelled`);
+  }
+
+  // Record login activity
+  await user.recordLogin();
+
+  const session = await sendTokenResponse(user, 200, res);
+
+  // The response is already sent, so an alert failure must not surface as an error
+  try {
+    await exports.recordLoginEvent(user, req, session.sessionId);
+  } catch (error) {
+    console.error('❌ Failed to record login event:', error.message);
+  }
+};
+
+// ============================================
+// COMPLETE LOGIN
+// ============================================
+
+// Final step of every credential check (password, 2FA). Either starts a
+// session or, when login approvals are on and the device is unknown, holds
+// the login until it's approved.
+exports.completeLogin = async (user, req, res) => {
+  exports.identifyDevice(req, res);
+  const device = getDeviceInfo(req);
+  const settings = await Settings.findOne({ user: user._id }).select('security');
+
+  if (settings?.security?.loginApprovals && !exports.isTrustedDevice(settings, device.deviceId)) {
+    const approval = await requestApproval(user, req, device);
+
+    return res.status(202).json({
+      success: true,
+      approvalRequired: true,
+      requestId: approval._id,
+      approvalToken: generateChallengeToken(user._id, 'login_approval', `${APPROVAL_EXPIRE_MINUTES}m`),
+      expiresAt: approval.expiresAt,
+      message: 'Approve this sign-in from one of your other devices or from the link we emailed you',
+    });
+  }
+
+  if (exports.isTrustedDevice(settings, device.deviceId)) {
+    await Settings.updateOne(
+      { user: user._id, 'security.trustedDevices.deviceId': device.deviceId },
+      { $set: { 'security.trustedDevices.$.lastUsed': new Date() } }
+    );
+  }
+
+  await exports.startSession(user, req, res);
+};
+
+exports.hashToken = hashToken;
+
+module.exports = exports;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('../utils/emailTemplates');
+
+// ============================================
+// TRANSPORTS
+// ============================================
+// MAIL_TRANSPORT selects how mail leaves the server:
+//   smtp - real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   json - render the message and log it (the body only in development)
+//   file - render the message and write it to MAIL_OUTBOX_DIR as JSON (tests)
+// Defaults to smtp when SMTP_HOST is set, otherwise json - except in
+// production, where sending fails until a transport is configured. Emails
+// carry reset, approval and unlock links that must never end up in logs.
+
+const createSmtpTransport = () => {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+const createJsonTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await transport.sendMail(mail);
+      console.log(`📧 [json transport] To: ${mail.to} | Subject: ${mail.subject}`);
+      if (process.env.NODE_ENV === 'development') {
+        console.log(mail.text);
+      }
+      return info;
+    },
+  };
+};
+
+const createFileTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+
+  return {
+    sendMail: async (mail) => {
+      const info = await transport.sendMail(mail);
+
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+
+      console.log(`📧 [file transport] Wrote ${fileName} (To: ${mail.to})`);
+      return info;
+    },
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  json: createJsonTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+      throw new Error('No mail transport configured. Set SMTP_HOST (or MAIL_TRANSPORT).');
+    }
+
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+    const factory = TRANSPORT_FACTORIES[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${name}'`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (anything with an async sendMail(mail) works)
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// ============================================
+// SEND RAW EMAIL
+// ============================================
+
+exports.sendMail = async ({ to, subject, html, text }) => {
+  return await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || `"Nelly Korda" <${process.env.SMTP_USER || 'no-reply@localhost'}>`,
+    to,
+    subject,
+    html,
+    text,
+  });
+};
+
+// ============================================
+// SEND TEMPLATED EMAIL
+// ============================================
+
+exports.sendTemplate = async (templateName, to, data = {}) => {
+  const { subject, html, text } = renderTemplate(templateName, data);
+  return await exports.sendMail({ to, subject, html, text });
+};
+
+module.exports = exports;
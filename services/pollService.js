@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// ============================================
+// POLL SETUP
+// ============================================
+
+exports.isClosed = (poll) => !!poll?.closesAt && new Date(poll.closesAt) <= new Date();
+
+// Validate a poll from a create/update request (an object, or a JSON string
+// from multipart forms). Returns { question, options, allowMultiple, closesAt }
+// or throws with statusCode 400.
+exports.parsePoll = (input) => {
+  let poll = input;
+  if (typeof poll === 'string') {
+    try {
+      poll = JSON.parse(poll);
+    } catch (error) {
+      throw badRequest('Poll must be valid JSON');
+    }
+  }
+
+  if (!poll || typeof poll !== 'object' || Array.isArray(poll)) {
+    throw badRequest('Invalid poll');
+  }
+
+  const question = typeof poll.question === 'string' ? poll.question.trim() : '';
+  if (!question) {
+    throw badRequest('Poll question is required');
+  }
+
+  const options = Array.isArray(poll.options)
+    ? poll.options.map((option) => (typeof option === 'string' ? option : option?.text))
+    : [];
+  const texts = options.map((text) => (typeof text === 'string' ? text.trim() : ''));
+
+  if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) {
+    throw badRequest(`A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+  }
+  if (texts.some((text) => !text)) {
+    throw badRequest('Poll options cannot be empty');
+  }
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) {
+    throw badRequest('Poll options must be unique');
+  }
+
+  let closesAt;
+  if (poll.closesAt) {
+    closesAt = new Date(poll.closesAt);
+    if (isNaN(closesAt.getTime()) || closesAt <= Date.now()) {
+      throw badRequest('Poll close time must be a valid date in the future');
+    }
+  }
+
+  return {
+    question,
+    options: texts.map((text) => ({ text })),
+    allowMultiple: poll.allowMultiple === true || poll.allowMultiple === 'true',
+    closesAt,
+  };
+};
+
+// Changes for an edit that sends a poll: null removes it, anything else
+// replaces it. Once people have voted only the question and close time
+// can change, so the counts stay right. Returns { $set, $unset, filter } -
+// filter goes into the update's query so a replacement fails if votes came
+// in since existing was read.
+exports.getPollUpdate = (existing, input) => {
+  if (input === null || input === 'null') {
+    return { $set: {}, $unset: { poll: 1 }, filter: {} };
+  }
+
+  const poll = exports.parsePoll(input);
+  if (!existing || !existing.votersCount) {
+    return { $set: { poll }, $unset: {}, filter: { 'poll.votersCount': { $in: [0, null] } } };
+  }
+
+  const sameOptions = existing.options.length === poll.options.length
+    && existing.options.every((option, index) => option.text === poll.options[index].text);
+
+  if (!sameOptions || existing.allowMultiple !== poll.allowMultiple) {
+    throw badRequest('Poll options cannot be changed once people have voted');
+  }
+
+  return poll.closesAt
+    ? { $set: { 'poll.question': poll.question, 'poll.closesAt': poll.closesAt }, $unset: {}, filter: {} }
+    : { $set: { 'poll.question': poll.question }, $unset: { 'poll.closesAt': 1 }, filter: {} };
+};
+
+// ============================================
+// VOTING
+// ============================================
+
+// Option indexes from a vote request ({ optionIndexes: [..] } or
+// { optionIndex }), checked against the poll
+const parseChoice = (poll, { optionIndexes, optionIndex } = {}) => {
+  const raw = Array.isArray(optionIndexes) ? optionIndexes : [optionIndex];
+  // Form fields arrive as strings
+  const indexes = raw.map((index) => (typeof index === 'string' && index.trim() ? Number(index) : index));
+
+  if (
+    indexes.length === 0
+    || indexes.some((index) => !Number.isInteger(index) || index < 0 || index >= poll.options.length)
+  ) {
+    throw badRequest('Invalid poll option');
+  }
+  if (new Set(indexes).size !== indexes.length) {
+    throw badRequest('Each option can only be chosen once');
+  }
+  if (!poll.allowMultiple && indexes.length > 1) {
+    throw badRequest('This poll allows a single choice');
+  }
+
+  return indexes.sort((a, b) => a - b);
+};
+
+const checkOpen = (post) => {
+  if (!post.poll) {
+    throw badRequest('This post does not have a poll');
+  }
+  if (exports.isClosed(post.poll)) {
+    throw badRequest('This poll is closed');
+  }
+};
+
+const applyCounts = async (postId, added, removed, votersChange = 0) => {
+  const $inc = {};
+  added.forEach((index) => {
+    $inc[`poll.options.${index}.votesCount`] = 1;
+  });
+  removed.forEach((index) => {
+    $inc[`poll.options.${index}.votesCount`] = -1;
+  });
+  if (votersChange) $inc['poll.votersCount'] = votersChange;
+
+  if (Object.keys($inc).length === 0) return await Post.findById(postId);
+  return await Post.findByIdAndUpdate(postId, { $inc }, { new: true });
+};
+
+// First vote. Returns { post, vote } - throws with statusCode 400 if the
+// user already voted (changeVote is for that).
+exports.castVote = async (post, userId, choice) => {
+  checkOpen(post);
+  const options = parseChoice(post.poll, choice);
+
+  let vote;
+  try {
+    vote = await PollVote.create({ post: post._id, user: userId, options });
+  } catch (error) {
+    if (error.code === 11000) throw badRequest('You have already voted in this poll');
+    throw error;
+  }
+
+  const updated = await applyCounts(post._id, options, [], 1);
+  return { post: updated, vote };
+};
+
+// Replace the user's vote. Returns { post, vote }, or null if they haven't
+// voted yet.
+exports.changeVote = async (post, userId, choice) => {
+  checkOpen(post);
+  const options = parseChoice(post.poll, choice);
+
+  // The old vote comes back atomically, so concurrent changes each undo
+  // exactly what the previous one counted
+  const previous = await PollVote.findOneAndUpdate(
+    { post: post._id, user: userId },
+    { $set: { options } },
+    { new: false }
+  );
+  if (!previous) return null;
+
+  const added = options.filter((index) => !previous.options.includes(index));
+  const removed = previous.options.filter((index) => !options.includes(index));
+
+  const updated = await applyCounts(post._id, added, removed);
+  previous.options = options;
+  return { post: updated, vote: previous };
+};
+
+// ============================================
+// RESULTS
+// ============================================
+
+// Map of postId -> chosen option indexes for the posts the user voted on
+exports.getUserVotes = async (userId, postIds) => {
+  const votes = new Map();
+  if (!userId || postIds.length === 0) return votes;
+
+  const found = await PollVote.find({ user: userId, post: { $in: postIds } })
+    .select('post options')
+    .lean();
+  found.forEach((vote) => votes.set(vote.post.toString(), vote.options));
+  return votes;
+};
+
+// Counts and percentages for everyone who may see them
+exports.getResults = (poll) => {
+  const totalVotes = poll.options.reduce((sum, option) => sum + (option.votesCount || 0), 0);
+
+  return {
+    votersCount: poll.votersCount || 0,
+    totalVotes,
+    options: poll.options.map((option, index) => ({
+      index,
+      text: option.text,
+      votesCount: option.votesCount || 0,
+      // Share of voters (adds up to more than 100 for multiple choice)
+      percentage: poll.votersCount ? Math.round(((option.votesCount || 0) / poll.votersCount) * 1000) / 10 : 0,
+    })),
+  };
+};
+
+// The poll as a given viewer sees it: results only once they voted, the
+// poll closed, or it's their own post. myVotes is null until they vote.
+exports.serializePoll = (poll, { myVotes = null, isAuthor = false } = {}) => {
+  const isClosed = exports.isClosed(poll);
+  const resultsVisible = !!myVotes || isClosed || isAuthor;
+
+  return {
+    question: poll.question,
+    allowMultiple: poll.allowMultiple,
+    closesAt: poll.closesAt || null,
+    isClosed,
+    hasVoted: !!myVotes,
+    myVotes,
+    resultsVisible,
+    ...(resultsVisible
+      ? exports.getResults(poll)
+      : { options: poll.options.map((option, index) => ({ index, text: option.text })) }),
+  };
+};
+
+// Replace the poll on each (lean) post with what the viewer may see
+exports.attachPolls = async (posts, user) => {
+  const withPoll = posts.filter((post) => post.poll);
+  if (withPoll.length === 0) return posts;
+
+  const votes = await exports.getUserVotes(user?.id, withPoll.map((post) => post._id));
+
+  withPoll.forEach((post) => {
+    const authorId = (post.author?._id || post.author).toString();
+    post.poll = exports.serializePoll(post.poll, {
+      myVotes: votes.get(post._id.toString()) || null,
+      isAuthor: !!user && user.id === authorId,
+    });
+  });
+
+  return posts;
+};
+
+// Live results go to a room per poll. Only people who can already see
+// the results are let in: the author and the voters.
+exports.getPollRoom = (postId) => `post:${postId}:poll`;
+
+// For a socket's post:poll:subscribe
+exports.canFollowResults = async (postId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) return false;
+
+  const post = await Post.findById(postId).select('author poll.question');
+  if (!post?.poll?.question) return false;
+  if (post.author.toString() === userId.toString()) return true;
+
+  return !!(await PollVote.exists({ post: post._id, user: userId }));
+};
+
+// Put the user's open sockets in the room (right after they vote)
+exports.joinPollRoom = (io, userId, postId) => {
+  if (!io) return;
+  io.in(userId.toString()).socketsJoin(exports.getPollRoom(postId));
+};
+
+// Push new totals to the poll's room
+exports.emitResults = (io, post) => {
+  if (!io || !post?.poll) return;
+
+  io.to(exports.getPollRoom(post._id)).emit('post:poll:updated', {
+    postId: post._id,
+    closesAt: post.poll.closesAt || null,
+    isClosed: exports.isClosed(post.poll),
+    ...exports.getResults(post.poll),
+  });
+};
+
+// ============================================
+// CLEANUP
+// ============================================
+
+exports.deleteVotes = async (postIds) => {
+  await PollVote.deleteMany({ post: { $in: postIds } });
+};
+
+// Take back a user's votes (account deletion), keeping the counts right
+exports.removeUserVotes = async (userId) => {
+  const votes = await PollVote.find({ user: userId }).select('post options');
+
+  for (const vote of votes) {
+    await applyCounts(vote.post, [], vote.options, -1);
+  }
+
+  await PollVote.deleteMany({ user: userId });
+};
+
+module.exports = exports;
@@ -0,0 +1,110 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const pointsService = require('./pointsService');
+const { createNotifications } = require('../controllers/notificationController');
+const { processPostHashtags } = require('../utils/trendingUtils');
+
+// ============================================
+// CLAIM FIRST PUBLISH
+// ============================================
+
+// Only the first time a post goes live counts. Returns the post if this
+// call claimed it (run the side effects then), null if it was published
+// before. createdAt moves to the publish time so the post lands at the top
+// of the chronological feed instead of where it was drafted.
+exports.claimFirstPublish = async (postId) => {
+  const now = new Date();
+
+  return await Post.findOneAndUpdate(
+    { _id: postId, status: 'published', publishedAt: null },
+    { $set: { publishedAt: now, createdAt: now } },
+    { new: true, overwriteImmutable: true }
+  );
+};
+
+// ============================================
+// RUN POST-PUBLISH SIDE EFFECTS
+// ============================================
+
+// Everything that has to happen once a post goes live: points, badges,
+// hashtags, author stats and the admin_post fan-out to fans.
+exports.runPublishSideEffects = async (post) => {
+  try {
+    const authorId = (post.author._id || post.author).toString();
+
+    // Award points for post creation
+    await pointsService.awardPoints(authorId, 'CREATE_POST');
+    if (post.media && post.media.length > 0) {
+      await pointsService.awardPoints(authorId, 'POST_WITH_MEDIA');
+    }
+
+    // Process hashtags from post
+    await processPostHashtags(post);
+
+    // Update user stats
+    const author = await User.findByIdAndUpdate(
+      authorId,
+      { $inc: { 'stats.totalPosts': 1 } },
+      { new: true }
+    );
+
+    await pointsService.checkAndAwardBadges(authorId);
+
+    // Notify every active user about the new post (pull-only, like every
+    // other notification)
+    const recipients = await User.find({
+      _id: { $ne: authorId },
+      isActive: true,
+    }).distinct('_id');
+
+    const authorName = author ? `${author.firstName} ${author.lastName}` : 'Admin';
+    const notified = await createNotifications(recipients, {
+      sender: authorId,
+      type: 'admin_post',
+      post: post._id,
+      content: `${authorName} shared a new post`,
+      link: `/post/${post._id}`,
+    });
+
+    return { success: true, notified };
+  } catch (error) {
+    console.error('Error running post publish side effects:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================
+// PUBLISH DUE SCHEDULED POSTS
+// ============================================
+
+exports.publishDuePosts = async () => {
+  const now = new Date();
+  let published = 0;
+
+  const duePosts = await Post.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: now },
+  }).select('_id');
+
+  for (const { _id } of duePosts) {
+    // Claim the post atomically so two instances never publish it twice
+    const claimed = await Post.updateOne(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published' } }
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+    published += 1;
+
+    const post = await exports.claimFirstPublish(_id);
+    if (post) {
+      await exports.runPublishSideEffects(post);
+    }
+
+    console.log(`✅ Published scheduled post ${_id}`);
+  }
+
+  return { published };
+};
+
+module.exports = exports;
@@ -0,0 +1,200 @@
+const PostRevision = require('../models/PostRevision');
+
+// Editable content kept in each revision. Status, media and engagement are
+// not content - they are never restored from a revision.
+const REVISION_FIELDS = [
+  'caption',
+  'tags',
+  'location',
+  'isPinned',
+  'isExclusive',
+  'allowComments',
+  'allowLikes',
+  'allowShares',
+];
+
+// Word diffs are skipped above this many token comparisons
+const MAX_WORD_DIFF_CELLS = 1000000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Plain JSON copy of the revisioned fields
+const getSnapshot = (post) => {
+  const source = typeof post.toObject === 'function' ? post.toObject() : post;
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = source[field] === undefined ? null : JSON.parse(JSON.stringify(source[field]));
+  }
+  return snapshot;
+};
+
+const getChangedFields = (before, after) => {
+  return REVISION_FIELDS.filter(
+    (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  );
+};
+
+// Word-level diff of two texts: [{ type: 'equal'|'added'|'removed', text }]
+const diffWords = (from, to) => {
+  const a = (from || '').split(/(\s+)/).filter(Boolean);
+  const b = (to || '').split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) return null;
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
+
+// ============================================
+// RECORD REVISIONS
+// ============================================
+
+const createRevision = async (post, data) => {
+  // Two editors saving at once can race for the same number - retry
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await PostRevision.findOne({ post: post._id }).sort({ revision: -1 }).select('revision');
+    try {
+      return await PostRevision.create({
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        ...data,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) throw error;
+    }
+  }
+};
+
+// First revision, written when a post (or draft) is created
+exports.recordInitialRevision = async (post, editorId) => {
+  return await createRevision(post, {
+    editor: editorId,
+    snapshot: getSnapshot(post),
+    changedFields: [],
+  });
+};
+
+// Record an edit. previous is the post before the edit; posts created
+// before revisions existed get it stored as their first revision so the
+// original wording isn't lost. Returns null when nothing changed.
+exports.recordRevision = async (post, editorId, previous, { restoredFrom } = {}) => {
+  const latest = await PostRevision.findOne({ post: post._id }).sort({ revision: -1 });
+
+  const baseline = latest ? latest.snapshot : getSnapshot(previous);
+  if (!latest) {
+    await createRevision(post, {
+      editor: previous.author?._id || previous.author,
+      snapshot: baseline,
+      changedFields: [],
+    });
+  }
+
+  const snapshot = getSnapshot(post);
+  const changedFields = getChangedFields(baseline, snapshot);
+
+  if (changedFields.length === 0) return null;
+
+  return await createRevision(post, {
+    editor: editorId,
+    snapshot,
+    changedFields,
+    restoredFrom,
+  });
+};
+
+// ============================================
+// READ / DIFF / RESTORE
+// ============================================
+
+exports.getRevisions = async (postId, { page = 1, limit = 20 } = {}) => {
+  const [revisions, total] = await Promise.all([
+    PostRevision.find({ post: postId })
+      .populate('editor', 'firstName lastName username avatar')
+      .sort({ revision: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PostRevision.countDocuments({ post: postId }),
+  ]);
+
+  return { revisions, total };
+};
+
+exports.getRevision = async (postId, revision) => {
+  return await PostRevision.findOne({ post: postId, revision })
+    .populate('editor', 'firstName lastName username avatar');
+};
+
+// Field-by-field changes from one revision to another, with a word diff
+// for the caption
+exports.diffRevisions = (from, to) => {
+  const changes = {};
+
+  for (const field of getChangedFields(from.snapshot, to.snapshot)) {
+    changes[field] = {
+      from: from.snapshot[field] ?? null,
+      to: to.snapshot[field] ?? null,
+    };
+  }
+
+  if (changes.caption) {
+    changes.caption.words = diffWords(from.snapshot.caption, to.snapshot.caption);
+  }
+
+  return changes;
+};
+
+// Put an older revision's content back on the post. The restore is itself
+// recorded as a new revision.
+exports.restoreRevision = async (post, revision, editorId) => {
+  const previous = post.toObject();
+
+  for (const field of REVISION_FIELDS) {
+    post.set(field, revision.snapshot[field] ?? undefined);
+  }
+  await post.save();
+
+  const created = await exports.recordRevision(post, editorId, previous, {
+    restoredFrom: revision.revision,
+  });
+
+  return { post, revision: created };
+};
+
+module.exports = exports;
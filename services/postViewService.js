@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const { getClientIp } = require('../utils/requestInfo');
+
+// Impressions from one viewer within this long of a view starting count
+// as that view
+const VIEW_DEDUPE_MINUTES = parseInt(process.env.VIEW_DEDUPE_MINUTES) || 30;
+const WINDOW_MS = VIEW_DEDUPE_MINUTES * 60 * 1000;
+// Longer dwell times are clamped (tab left open)
+const MAX_DWELL_MS = 30 * 60 * 1000;
+const MAX_BATCH_SIZE = 50;
+const ROLLUP_BATCH_SIZE = 5000;
+const ROLLUP_MAX_BATCHES = 20;
+// Claims older than this belong to a run that died before finishing
+const ROLLUP_STALE_MS = 15 * 60 * 1000;
+// Rollup runs each post remembers (runs every 5 minutes, so this spans
+// well past ROLLUP_STALE_MS)
+const ROLLUP_HISTORY = 20;
+
+exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+// ============================================
+// VIEWER IDENTITY
+// ============================================
+
+// Logged-in viewers are counted per user, anonymous viewers by IP + user
+// agent. Nothing the client picks freely (like a fingerprint in the body)
+// goes into the key, so new keys can't be minted to inflate counts. Only a
+// hash is stored.
+exports.getViewer = (req) => {
+  if (req.user) {
+    return { viewerKey: `user:${req.user._id}`, user: req.user._id };
+  }
+
+  const source = `ip:${getClientIp(req)}|${req.get('user-agent') || ''}`;
+
+  const hash = crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+  return { viewerKey: `anon:${hash}` };
+};
+
+const normalizeDwell = (dwellMs) => {
+  const value = Number(dwellMs);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return Math.min(Math.round(value), MAX_DWELL_MS);
+};
+
+// ============================================
+// RECORD VIEWS
+// ============================================
+
+// Record one impression. Returns { view, counted } - counted is true when
+// it started a new view rather than joining one still in its window.
+exports.recordView = async (postId, viewer, dwellMs) => {
+  const dwell = normalizeDwell(dwellMs);
+  const now = new Date();
+
+  const $inc = { impressions: 1 };
+  if (dwell !== null) {
+    $inc.dwellMs = dwell;
+    $inc.dwellSamples = 1;
+  }
+
+  const update = { $inc, $set: { lastSeenAt: now } };
+
+  // Join the viewer's latest view while it's in its window, whichever
+  // fixed bucket that started in
+  const open = await PostView.findOneAndUpdate(
+    { post: postId, viewerKey: viewer.viewerKey, createdAt: { $gt: new Date(now.getTime() - WINDOW_MS) } },
+    update,
+    { new: true, sort: { createdAt: -1 } }
+  );
+  if (open) return { view: open, counted: false };
+
+  if (viewer.user) {
+    update.$setOnInsert = { user: viewer.user };
+  }
+  const filter = { post: postId, viewerKey: viewer.viewerKey, bucket: Math.floor(now.getTime() / WINDOW_MS) };
+
+  // Concurrent first impressions race on the unique index - the loser
+  // just joins the winner's view
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const result = await PostView.findOneAndUpdate(filter, update, {
+        upsert: true,
+        new: true,
+        includeResultMetadata: true,
+      });
+      return { view: result.value, counted: !result.lastErrorObject?.updatedExisting };
+    } catch (error) {
+      if (error.code !== 11000 || attempt > 0) throw error;
+    }
+  }
+};
+
+// Record a batch of impressions ([{ postId, dwellMs }]) for published posts.
+// Unknown posts and the viewer's own posts are skipped. Returns
+// { recorded, counted }.
+exports.recordViews = async (impressions, viewer) => {
+  const valid = impressions.filter(
+    (impression) => impression && mongoose.Types.ObjectId.isValid(impression.postId)
+  );
+
+  const posts = await Post.find({
+    _id: { $in: valid.map((impression) => impression.postId) },
+    status: 'published',
+  }).select('author');
+  const published = new Set(
+    posts
+      .filter((post) => !viewer.user || !post.author.equals(viewer.user))
+      .map((post) => post._id.toString())
+  );
+
+  let recorded = 0;
+  let counted = 0;
+  for (const impression of valid) {
+    if (!published.has(impression.postId.toString())) continue;
+
+    const result = await exports.recordView(impression.postId, viewer, impression.dwellMs);
+    recorded += 1;
+    if (result.counted) counted += 1;
+  }
+
+  return { recorded, counted };
+};
+
+// ============================================
+// ROLLUP - PostView -> Post.viewsCount
+// ============================================
+
+// Count a run's claimed views into each post's viewsCount, then mark them
+// rolled up. Posts remember the last runs applied to them, so finishing a
+// run again after it died between the two steps doesn't count twice.
+const applyRollup = async (rollupId) => {
+  const counts = await PostView.aggregate([
+    { $match: { rollupId, rolledUp: false } },
+    { $group: { _id: '$post', count: { $sum: 1 } } },
+  ]);
+
+  if (counts.length > 0) {
+    await Post.bulkWrite(
+      counts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id, viewRollups: { $ne: rollupId } },
+          update: {
+            $inc: { viewsCount: count },
+            $push: { viewRollups: { $each: [rollupId], $slice: -ROLLUP_HISTORY } },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  await PostView.updateMany(
+    { rollupId, rolledUp: false },
+    { $set: { rolledUp: true } }
+  );
+
+  return counts;
+};
+
+// Add views recorded since the last run to each post's viewsCount. Views
+// are claimed with a run id first so two instances never count one twice.
+// A run that dies leaves its claims behind; the next run finishes stale
+// ones under their original id.
+exports.rollupViewCounts = async () => {
+  const rollupId = crypto.randomUUID();
+  const now = new Date();
+  const counts = [];
+
+  const staleIds = await PostView.distinct('rollupId', {
+    rolledUp: false,
+    rollupId: { $ne: null },
+    claimedAt: { $lte: new Date(now.getTime() - ROLLUP_STALE_MS) },
+  });
+
+  for (const staleId of staleIds) {
+    await PostView.updateMany(
+      { rollupId: staleId, rolledUp: false },
+      { $set: { claimedAt: now } }
+    );
+    counts.push(...(await applyRollup(staleId)));
+  }
+
+  for (let batch = 0; batch < ROLLUP_MAX_BATCHES; batch++) {
+    const pending = await PostView.find({ rolledUp: false, rollupId: null })
+      .select('_id')
+      .limit(ROLLUP_BATCH_SIZE)
+      .lean();
+
+    if (pending.length === 0) break;
+
+    await PostView.updateMany(
+      { _id: { $in: pending.map((view) => view._id) }, rolledUp: false, rollupId: null },
+      { $set: { rollupId, claimedAt: now } }
+    );
+
+    if (pending.length < ROLLUP_BATCH_SIZE) break;
+  }
+
+  counts.push(...(await applyRollup(rollupId)));
+
+  return {
+    posts: new Set(counts.map(({ _id }) => _id.toString())).size,
+    views: counts.reduce((sum, { count }) => sum + count, 0),
+  };
+};
+
+// ============================================
+// STATS
+// ============================================
+
+// Unique viewers, views, impressions and average dwell for a post, plus
+// the most recent logged-in viewers
+exports.getViewStats = async (postId, { recentLimit = 50 } = {}) => {
+  const post = new mongoose.Types.ObjectId(postId.toString());
+
+  const [summary, recent] = await Promise.all([
+    PostView.aggregate([
+      { $match: { post } },
+      {
+        $group: {
+          _id: '$viewerKey',
+          views: { $sum: 1 },
+          impressions: { $sum: '$impressions' },
+          dwellMs: { $sum: '$dwellMs' },
+          dwellSamples: { $sum: '$dwellSamples' },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          uniqueViewers: { $sum: 1 },
+          views: { $sum: '$views' },
+          impressions: { $sum: '$impressions' },
+          dwellMs: { $sum: '$dwellMs' },
+          dwellSamples: { $sum: '$dwellSamples' },
+        },
+      },
+    ]),
+    PostView.find({ post, user: { $exists: true } })
+      .sort({ lastSeenAt: -1 })
+      .limit(recentLimit)
+      .populate('user', 'firstName lastName avatar username')
+      .lean(),
+  ]);
+
+  const totals = summary[0] || { uniqueViewers: 0, views: 0, impressions: 0, dwellMs: 0, dwellSamples: 0 };
+
+  return {
+    uniqueViewers: totals.uniqueViewers,
+    views: totals.views,
+    totalImpressions: totals.impressions,
+    averageDwellMs: totals.dwellSamples > 0 ? Math.round(totals.dwellMs / totals.dwellSamples) : null,
+    recentViewers: recent.map((view) => ({ user: view.user, viewedAt: view.lastSeenAt })),
+  };
+};
+
+// Which of these posts the user has viewed
+exports.getViewedPostIds = async (userId, postIds) => {
+  if (!userId || postIds.length === 0) return new Set();
+
+  const viewed = await PostView.distinct('post', { user: userId, post: { $in: postIds } });
+  return new Set(viewed.map((id) => id.toString()));
+};
+
+module.exports = exports;
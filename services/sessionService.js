@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+const { getDeviceInfo } = require('../utils/requestInfo');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself.
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// ============================================
+// CREATE SESSION (on login/register)
+// ============================================
+
+exports.createSession = async (userId, req) => {
+  const now = new Date();
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(sessionId);
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+  const device = req ? getDeviceInfo(req) : {};
+
+  // Drop sessions whose refresh token has already expired
+  await Settings.updateOne(
+    { user: userId },
+    { $pull: { 'security.activeSessions': { expiresAt: { $lte: now } } } }
+  );
+
+  await Settings.findOneAndUpdate(
+    { user: userId },
+    {
+      $push: {
+        'security.activeSessions': {
+          _id: sessionId,
+          deviceId: device.deviceId,
+          deviceName: device.deviceName,
+          deviceType: device.deviceType,
+          browser: device.browser,
+          os: device.os,
+          userAgent: device.userAgent,
+          ipAddress: device.ipAddress,
+          loginTime: now,
+          lastActive: now,
+          expiresAt,
+          refreshTokenHash,
+        },
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return {
+    sessionId: sessionId.toString(),
+    refreshToken,
+    expiresAt,
+  };
+};
+
+// ============================================
+// ROTATE REFRESH TOKEN
+// ============================================
+
+// Returns { userId, sessionId, refreshToken, expiresAt } or null when the token
+// is invalid. Presenting an already-rotated token revokes the whole session,
+// since it means the token was copied.
+exports.rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const now = new Date();
+  const sessionId = new mongoose.Types.ObjectId(parsed.sessionId);
+  const next = buildRefreshToken(sessionId);
+
+  const settings = await Settings.findOneAndUpdate(
+    {
+      'security.activeSessions': {
+        $elemMatch: {
+          _id: sessionId,
+          refreshTokenHash: hashToken(parsed.secret),
+          expiresAt: { $gt: now },
+        },
+      },
+    },
+    {
+      $set: {
+        'security.activeSessions.$.refreshTokenHash': next.refreshTokenHash,
+        'security.activeSessions.$.lastActive': now,
+        ...(req && { 'security.activeSessions.$.ipAddress': getDeviceInfo(req).ipAddress }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!settings) {
+    // Session exists but the secret didn't match (or it expired) - kill it
+    await Settings.updateOne(
+      { 'security.activeSessions._id': sessionId },
+      { $pull: { 'security.activeSessions': { _id: sessionId } } }
+    );
+    return null;
+  }
+
+  const session = settings.security.activeSessions.id(sessionId);
+
+  return {
+    userId: settings.user.toString(),
+    sessionId: parsed.sessionId,
+    refreshToken: next.refreshToken,
+    expiresAt: session.expiresAt,
+  };
+};
+
+// ============================================
+// CHECK SESSION (used by protect)
+// ============================================
+
+exports.isSessionActive = async (userId, sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const settings = await Settings.exists({
+    user: userId,
+    'security.activeSessions': {
+      $elemMatch: {
+        _id: sessionId,
+        expiresAt: { $gt: new Date() },
+      },
+    },
+  });
+
+  return !!settings;
+};
+
+// ============================================
+// GET SESSIONS
+// ============================================
+
+exports.getSessions = async (userId) => {
+  const settings = await Settings.findOne({ user: userId });
+  if (!settings) return [];
+
+  const now = Date.now();
+  return settings.security.activeSessions
+    .filter((session) => !session.expiresAt || session.expiresAt > now)
+    .sort((a, b) => b.lastActive - a.lastActive);
+};
+
+// ============================================
+// REVOKE SESSIONS
+// ============================================
+
+exports.revokeSession = async (userId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const result = await Settings.updateOne(
+    { user: userId, 'security.activeSessions._id': sessionId },
+    { $pull: { 'security.activeSessions': { _id: sessionId } } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+exports.revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const settings = await Settings.findOne({ user: userId }).select('security.activeSessions._id');
+  if (!settings) return 0;
+
+  const toRevoke = settings.security.activeSessions
+    .map((session) => session._id)
+    .filter((id) => !exceptSessionId || id.toString() !== exceptSessionId.toString());
+
+  if (toRevoke.length === 0) return 0;
+
+  await Settings.updateOne(
+    { user: userId },
+    { $pull: { 'security.activeSessions': { _id: { $in: toRevoke } } } }
+  );
+
+  return toRevoke.length;
+};
+
+module.exports = exports;
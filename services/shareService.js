@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Share = require('../models/Share');
+const Story = require('../models/Story');
+const Message = require('../models/Message');
+const User = require('../models/User');
+
+const TARGETS = ['feed', 'story', 'dm'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================
+// TARGETS
+// ============================================
+
+// Stories go to everyone's tray, so only staff who can post stories can
+// share to one
+const createStory = async (post, user, quote) => {
+  if (!user.hasPermission('stories.create')) {
+    throw httpError(403, 'You cannot share to stories');
+  }
+
+  return await Story.create({
+    author: user._id,
+    storyType: 'post',
+    sharedPost: post._id,
+    caption: quote,
+  });
+};
+
+// Same rules as sendMessage: users can only message admins
+const sendMessage = async (post, user, recipientId, quote) => {
+  if (!recipientId) {
+    throw httpError(400, 'Please provide a recipient');
+  }
+
+  const recipient = await User.findById(recipientId).select('role');
+  if (!recipient) {
+    throw httpError(404, 'Recipient not found');
+  }
+  if (recipient._id.toString() === user._id.toString()) {
+    throw httpError(400, 'Cannot send message to yourself');
+  }
+  if (!user.isAdmin && !recipient.isAdmin) {
+    throw httpError(403, 'You can only send messages to admins. Normal users cannot message each other.');
+  }
+
+  return await Message.create({
+    sender: user._id,
+    receiver: recipient._id,
+    content: quote || '',
+    type: 'post',
+    sharedPost: post._id,
+    status: 'delivered',
+  });
+};
+
+// ============================================
+// SHARE
+// ============================================
+
+// The partial unique index lets exactly one share per user be the first
+const createShare = async (data) => {
+  try {
+    return await Share.create({ ...data, firstShare: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return await Share.create(data);
+  }
+};
+
+// Share a post to the feed, a story or a DM. Returns the share, which
+// holds the story or message made for those targets; share.firstShare is
+// true the first time this user shares this post.
+exports.sharePost = async (post, user, { quote, target = 'feed', recipientId } = {}) => {
+  if (!TARGETS.includes(target)) {
+    throw httpError(400, `Share target must be one of: ${TARGETS.join(', ')}`);
+  }
+  if (quote !== undefined && quote !== null && typeof quote !== 'string') {
+    throw httpError(400, 'Quote must be text');
+  }
+
+  const text = quote ? quote.trim() : undefined;
+  const data = { user: user._id, post: post._id, quote: text || undefined, target };
+
+  // Check the share itself before creating anything for it
+  await new Share(data).validate();
+
+  if (target === 'story') {
+    data.story = (await createStory(post, user, text))._id;
+  } else if (target === 'dm') {
+    const message = await sendMessage(post, user, recipientId, text);
+    data.message = message._id;
+    data.recipient = message.receiver;
+  }
+
+  let share;
+  try {
+    share = await createShare(data);
+  } catch (error) {
+    // Don't leave a story or message behind for a share that wasn't saved
+    await Promise.all([
+      data.story && Story.deleteOne({ _id: data.story }),
+      data.message && Message.deleteOne({ _id: data.message }),
+    ]);
+    throw error;
+  }
+
+  await Post.updateOne({ _id: post._id }, { $inc: { sharesCount: 1 } });
+
+  return share;
+};
+
+// Query for the people who shared a post to the feed or a story (DM
+// shares are private)
+exports.getSharesQuery = (postId) => {
+  return Share.find({ post: postId, target: { $in: ['feed', 'story'] } })
+    .select('user quote target story createdAt')
+    .populate('user', 'firstName lastName avatar username');
+};
+
+// ============================================
+// CLEANUP
+// ============================================
+
+// Shares of deleted posts, with the stories and messages made for them
+exports.deleteForPosts = async (postIds) => {
+  await Promise.all([
+    Share.deleteMany({ post: { $in: postIds } }),
+    Story.deleteMany({ sharedPost: { $in: postIds } }),
+    Message.updateMany(
+      { sharedPost: { $in: postIds } },
+      { $unset: { sharedPost: 1 } }
+    ),
+  ]);
+};
+
+// A deleted user's shares come off the posts' share counts. Returns the
+// ids of the posts they shared that earned the author POST_SHARED points.
+exports.removeUserShares = async (userId) => {
+  const counts = await Share.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$post',
+        count: { $sum: 1 },
+        firstShare: { $max: '$firstShare' },
+      },
+    },
+  ]);
+
+  if (counts.length > 0) {
+    await Post.bulkWrite(
+      counts.map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $inc: { sharesCount: -count } } },
+      }))
+    );
+  }
+
+  await Share.deleteMany({ user: userId });
+
+  return counts.filter((entry) => entry.firstShare).map((entry) => entry._id);
+};
+
+module.exports = exports;
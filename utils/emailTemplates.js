@@ -0,0 +1,305 @@
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Each template takes a data object and returns { subject, html, text }.
+// Add new templates to the TEMPLATES map at the bottom of this file.
+
+const BRAND = 'Nelly Korda';
+
+const escapeHtml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const formatDate = (date) => {
+  return new Date(date || Date.now()).toUTCString();
+};
+
+// Shared HTML wrapper so every email looks the same
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+            <tr>
+              <td>
+                <h2 style="margin-top:0;color:#0b6e4f;">🏌️‍♀️ ${BRAND}</h2>
+                ${bodyHtml}
+                <p style="margin-top:32px;font-size:12px;color:#7b8794;">
+                  You are receiving this email because you have an account on the ${BRAND} platform.
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const button = (url, label) => {
+  return `<p style="margin:24px 0;"><a href="${escapeHtml(url)}" style="background:#0b6e4f;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+};
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+const passwordReset = ({ firstName, resetUrl, expiresInMinutes = 30 }) => ({
+  subject: 'Reset your password',
+  html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We received a request to reset your password. Click the button below to choose a new one.</p>
+    ${button(resetUrl, 'Reset password')}
+    <p>This link expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'We received a request to reset your password. Open this link to choose a new one:',
+    resetUrl,
+    '',
+    `This link expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.`,
+  ].join('\n'),
+});
+
+// ============================================
+// EMAIL VERIFICATION
+// ============================================
+const verification = ({ firstName, verifyUrl, expiresInHours = 24 }) => ({
+  subject: 'Verify your email address',
+  html: layout('Verify your email address', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Welcome to the ${BRAND} family! Please confirm your email address to start commenting and messaging.</p>
+    ${button(verifyUrl, 'Verify my email')}
+    <p>This link expires in ${expiresInHours} hours.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    `Welcome to the ${BRAND} family! Please confirm your email address by opening this link:`,
+    verifyUrl,
+    '',
+    `This link expires in ${expiresInHours} hours.`,
+  ].join('\n'),
+});
+
+// ============================================
+// LOGIN ALERT
+// ============================================
+const loginAlert = ({ firstName, deviceName, ipAddress, location, time, notMeUrl }) => ({
+  subject: 'New sign-in to your account',
+  html: layout('New sign-in to your account', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your account was just signed in to from a new device:</p>
+    <ul>
+      <li><strong>Device:</strong> ${escapeHtml(deviceName || 'Unknown device')}</li>
+      <li><strong>IP address:</strong> ${escapeHtml(ipAddress || 'Unknown')}</li>
+      ${location ? `<li><strong>Location:</strong> ${escapeHtml(location)}</li>` : ''}
+      <li><strong>Time:</strong> ${escapeHtml(formatDate(time))}</li>
+    </ul>
+    <p>If this was you, there's nothing to do.</p>
+    ${notMeUrl ? button(notMeUrl, "This wasn't me") : ''}
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Your account was just signed in to from a new device:',
+    `Device: ${deviceName || 'Unknown device'}`,
+    `IP address: ${ipAddress || 'Unknown'}`,
+    ...(location ? [`Location: ${location}`] : []),
+    `Time: ${formatDate(time)}`,
+    '',
+    "If this was you, there's nothing to do.",
+    ...(notMeUrl ? ['', `If this wasn't you, secure your account here: ${notMeUrl}`] : []),
+  ].join('\n'),
+});
+
+// ============================================
+// LOGIN APPROVAL
+// ============================================
+const loginApproval = ({ firstName, deviceName, ipAddress, time, approveUrl, expiresInMinutes = 10 }) => ({
+  subject: 'Approve sign-in from a new device',
+  html: layout('Approve sign-in from a new device', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Someone entered your password on a device you haven't approved before:</p>
+    <ul>
+      <li><strong>Device:</strong> ${escapeHtml(deviceName || 'Unknown device')}</li>
+      <li><strong>IP address:</strong> ${escapeHtml(ipAddress || 'Unknown')}</li>
+      <li><strong>Time:</strong> ${escapeHtml(formatDate(time))}</li>
+    </ul>
+    <p>If this was you, approve the sign-in below. The link expires in ${expiresInMinutes} minutes.</p>
+    ${button(approveUrl, 'Approve sign-in')}
+    <p>If this wasn't you, ignore this email and change your password.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    "Someone entered your password on a device you haven't approved before:",
+    `Device: ${deviceName || 'Unknown device'}`,
+    `IP address: ${ipAddress || 'Unknown'}`,
+    `Time: ${formatDate(time)}`,
+    '',
+    `If this was you, approve the sign-in here (expires in ${expiresInMinutes} minutes):`,
+    approveUrl,
+    '',
+    "If this wasn't you, ignore this email and change your password.",
+  ].join('\n'),
+});
+
+// ============================================
+// ACCOUNT LOCKED
+// ============================================
+const accountLocked = ({ firstName, lockedUntil, unlockUrl }) => ({
+  subject: 'Your account has been temporarily locked',
+  html: layout('Your account has been temporarily locked', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We locked your account after too many failed sign-in attempts. It will unlock automatically at ${escapeHtml(formatDate(lockedUntil))}.</p>
+    <p>If these attempts were yours, you can unlock it now:</p>
+    ${button(unlockUrl, 'Unlock my account')}
+    <p>If they weren't, someone may be guessing your password. Consider resetting it once you're back in.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    `We locked your account after too many failed sign-in attempts. It will unlock automatically at ${formatDate(lockedUntil)}.`,
+    '',
+    'If these attempts were yours, you can unlock it now:',
+    unlockUrl,
+    '',
+    "If they weren't, someone may be guessing your password. Consider resetting it once you're back in.",
+  ].join('\n'),
+});
+
+// ============================================
+// WEEKLY DIGEST
+// ============================================
+const weeklyDigest = ({ firstName, posts = [], unreadNotifications = 0, feedUrl }) => ({
+  subject: `Your weekly ${BRAND} digest`,
+  html: layout('Your weekly digest', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Here's what you missed this week:</p>
+    ${posts.length > 0
+      ? `<ul>${posts.map((post) => `<li style="margin-bottom:8px;"><a href="${escapeHtml(post.url)}">${escapeHtml(post.title)}</a> · ${post.likesCount || 0} likes · ${post.commentsCount || 0} comments</li>`).join('')}</ul>`
+      : '<p>No new posts this week.</p>'}
+    ${unreadNotifications > 0 ? `<p>You have <strong>${unreadNotifications}</strong> unread notifications.</p>` : ''}
+    ${button(feedUrl, 'Open your feed')}
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    "Here's what you missed this week:",
+    ...(posts.length > 0
+      ? posts.map((post) => `- ${post.title} (${post.likesCount || 0} likes, ${post.commentsCount || 0} comments): ${post.url}`)
+      : ['No new posts this week.']),
+    ...(unreadNotifications > 0 ? ['', `You have ${unreadNotifications} unread notifications.`] : []),
+    '',
+    `Open your feed: ${feedUrl}`,
+  ].join('\n'),
+});
+
+// ============================================
+// DATA EXPORT READY
+// ============================================
+const dataExportReady = ({ firstName, downloadUrl, expiresAt }) => ({
+  subject: 'Your data export is ready',
+  html: layout('Your data export is ready', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>The copy of your data you asked for is ready. It contains your account, profile, settings, comments, messages, story activity, event RSVPs, badges, points and notifications, plus links to the media you uploaded.</p>
+    ${button(downloadUrl, 'Download my data')}
+    <p>The link expires at ${escapeHtml(formatDate(expiresAt))}. After that you can request a new export from your account settings.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'The copy of your data you asked for is ready. It contains your account, profile, settings, comments, messages, story activity, event RSVPs, badges, points and notifications, plus links to the media you uploaded.',
+    '',
+    'Download it here:',
+    downloadUrl,
+    '',
+    `The link expires at ${formatDate(expiresAt)}. After that you can request a new export from your account settings.`,
+  ].join('\n'),
+});
+
+// ============================================
+// DATA EXPORT FAILED
+// ============================================
+const dataExportFailed = ({ firstName }) => ({
+  subject: 'Your data export could not be prepared',
+  html: layout('Your data export could not be prepared', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Something went wrong while we were preparing the copy of your data you asked for.</p>
+    <p>Please request a new export from your account settings. If it keeps failing, contact support.</p>
+  `),
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Something went wrong while we were preparing the copy of your data you asked for.',
+    '',
+    'Please request a new export from your account settings. If it keeps failing, contact support.',
+  ].join('\n'),
+});
+
+// ============================================
+// ADMIN / MODERATOR INVITE
+// ============================================
+const adminInvite = ({ inviterName, role, inviteUrl, expiresAt }) => ({
+  subject: `You're invited to join the ${BRAND} team`,
+  html: layout(`You're invited to join the ${BRAND} team`, `
+    <p>Hi,</p>
+    <p>${escapeHtml(inviterName)} has invited you to join the ${BRAND} platform as ${role === 'admin' ? 'an administrator' : 'a moderator'}.</p>
+    ${button(inviteUrl, 'Accept invitation')}
+    <p>This invitation can only be used once and expires at ${escapeHtml(formatDate(expiresAt))}.</p>
+    <p>If you weren't expecting this, you can ignore this email.</p>
+  `),
+  text: [
+    'Hi,',
+    '',
+    `${inviterName} has invited you to join the ${BRAND} platform as ${role === 'admin' ? 'an administrator' : 'a moderator'}.`,
+    '',
+    'Accept the invitation here:',
+    inviteUrl,
+    '',
+    `This invitation can only be used once and expires at ${formatDate(expiresAt)}.`,
+    '',
+    "If you weren't expecting this, you can ignore this email.",
+  ].join('\n'),
+});
+
+const TEMPLATES = {
+  passwordReset,
+  verification,
+  loginAlert,
+  loginApproval,
+  accountLocked,
+  weeklyDigest,
+  dataExportReady,
+  dataExportFailed,
+  adminInvite,
+};
+
+// ============================================
+// RENDER TEMPLATE BY NAME
+// ============================================
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Email template '${name}' not found`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  escapeHtml,
+};
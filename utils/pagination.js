@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// CURSOR PAGINATION
+// ============================================
+// Cursors are opaque tokens holding the sort key values of the item they
+// point at, so a page starts exactly after (or before) that item no matter
+// how many new items arrived in the meantime. Sorts must end in a unique
+// key (_id) to break ties, e.g. { isPinned: -1, createdAt: -1, _id: -1 }.
+//
+// A "next" cursor continues in sort order from the last item of a page, a
+// "prev" cursor goes back from the first one.
+
+class CursorError extends Error {
+  constructor(message = 'Invalid or expired cursor') {
+    super(message);
+    this.name = 'CursorError';
+    this.statusCode = 400;
+    this.errorCode = 'INVALID_CURSOR';
+  }
+}
+
+const getValue = (item, field) => {
+  if (typeof item.get === 'function') return item.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+// Dates and ObjectIds keep their type through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new CursorError();
+  }
+  return value;
+};
+
+const encodeCursor = (item, sort, direction = 'next') => {
+  const payload = {
+    k: Object.keys(sort),
+    v: Object.keys(sort).map((field) => encodeValue(getValue(item, field))),
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { values, direction } or null when there is no cursor. Throws
+// CursorError for tokens that don't belong to this sort.
+const decodeCursor = (token, sort) => {
+  if (!token) return null;
+  if (typeof token !== 'string') throw new CursorError();
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError();
+  }
+
+  const fields = Object.keys(sort);
+  if (
+    !payload
+    || !Array.isArray(payload.k)
+    || !Array.isArray(payload.v)
+    || payload.k.join(',') !== fields.join(',')
+    || payload.v.length !== fields.length
+    || !['next', 'prev'].includes(payload.d)
+  ) {
+    throw new CursorError();
+  }
+
+  return { values: payload.v.map(decodeValue), direction: payload.d };
+};
+
+// Going back means walking the sort in reverse
+const getCursorSort = (sort, cursor) => {
+  if (!cursor || cursor.direction === 'next') return sort;
+  return Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order]));
+};
+
+// Keyset condition for items after the cursor (in the cursor's direction):
+// (a > x) OR (a = x AND b > y) OR ...
+const getCursorFilter = (sort, cursor) => {
+  const entries = Object.entries(getCursorSort(sort, cursor));
+
+  return {
+    $or: entries.map(([field, order], index) => {
+      const condition = {};
+      entries.slice(0, index).forEach(([previous], i) => {
+        condition[previous] = cursor.values[i];
+      });
+      condition[field] = { [order === 1 ? '$gt' : '$lt']: cursor.values[index] };
+      return condition;
+    }),
+  };
+};
+
+// Cursors for a page fetched with limit + 1 items
+const finishCursorPage = (items, sort, limit, cursor) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  if (cursor && cursor.direction === 'prev') page.reverse();
+
+  const goingBack = cursor && cursor.direction === 'prev';
+  const hasNext = goingBack ? true : hasMore;
+  const hasPrev = goingBack ? hasMore : !!cursor;
+
+  return {
+    items: page,
+    nextCursor: hasNext && page.length > 0 ? encodeCursor(page[page.length - 1], sort, 'next') : null,
+    prevCursor: hasPrev && page.length > 0 ? encodeCursor(page[0], sort, 'prev') : null,
+  };
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+// Run a (filtered, populated) mongoose query as one cursor page. Returns
+// { items, nextCursor, prevCursor } with items in sort order.
+const paginateQuery = async (query, sort, { limit, cursor = null }) => {
+  if (cursor) {
+    query.and([getCursorFilter(sort, cursor)]);
+  }
+
+  const items = await query.sort(getCursorSort(sort, cursor)).limit(limit + 1);
+  return finishCursorPage(items, sort, limit, cursor);
+};
+
+// Cursors for a page fetched the old way (?page=), so clients can switch to
+// cursors from any page
+const getPageCursors = (items, sort, { page, hasNext }) => {
+  return {
+    nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+    prevCursor: page > 1 && items.length > 0 ? encodeCursor(items[0], sort, 'prev') : null,
+  };
+};
+
+// ============================================
+// IN-MEMORY LISTS
+// ============================================
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const compareItems = (sort) => (a, b) => {
+  for (const [field, order] of Object.entries(sort)) {
+    const x = comparable(getValue(a, field));
+    const y = comparable(getValue(b, field));
+    if (x < y) return -order;
+    if (x > y) return order;
+  }
+  return 0;
+};
+
+// Sort a list built in memory the way the database would
+const sortArray = (list, sort) => [...list].sort(compareItems(sort));
+
+// Same as paginateQuery for a list built in memory (e.g. media gathered
+// from several collections). Values must be Dates, ObjectIds, strings,
+// numbers or booleans.
+const paginateArray = (list, sort, { limit, cursor = null }) => {
+  const effectiveSort = getCursorSort(sort, cursor);
+  const compare = compareItems(effectiveSort);
+  const sorted = sortArray(list, effectiveSort);
+
+  let start = 0;
+  if (cursor) {
+    const fields = Object.keys(sort);
+    const marker = {};
+    fields.forEach((field, index) => {
+      marker[field] = cursor.values[index];
+    });
+    start = sorted.findIndex((item) => compare(item, marker) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  return finishCursorPage(sorted.slice(start, start + limit + 1), sort, limit, cursor);
+};
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  getCursorSort,
+  getCursorFilter,
+  paginateQuery,
+  getPageCursors,
+  sortArray,
+  paginateArray,
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const policy = require('../config/passwordPolicy');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+// ============================================
+// PASSWORD POLICY ERROR
+// ============================================
+// Thrown when a new password breaks the policy. errorHandler turns it into a
+// 400 with a code per violation, e.g.
+//   { code: 'PASSWORD_POLICY', errors: [{ code: 'PASSWORD_TOO_SHORT', message }] }
+class PasswordPolicyError extends Error {
+  constructor(violations) {
+    super(violations[0]?.message || 'Password does not meet the password policy');
+    this.name = 'PasswordPolicyError';
+    this.statusCode = 400;
+    this.code = 'PASSWORD_POLICY';
+    this.violations = violations;
+  }
+}
+
+// ============================================
+// COMMON / BREACHED PASSWORDS
+// ============================================
+
+let commonPasswords = null;
+
+// Loaded on first use and kept in memory
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+// The password plus the variants people use to dress up a common one:
+// "P@ssw0rd2024!" -> "p@ssw0rd2024!", "p@ssw0rd", "password2024i", "password"
+const getVariants = (password) => {
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, '');
+  const unsubstitute = (value) => value.replace(/[@43105$7!]/g, (char) => SUBSTITUTIONS[char]);
+
+  return [lower, stripped, unsubstitute(lower), unsubstitute(stripped)].filter(Boolean);
+};
+
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  return getVariants(password).some((variant) => list.has(variant));
+};
+
+// ============================================
+// CHECK PASSWORD
+// ============================================
+
+// Returns the policy violations ({ code, message }) for a password
+const checkPassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    return [{ code: 'PASSWORD_REQUIRED', message: 'Please provide a password' }];
+  }
+
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${policy.minLength} characters`,
+    });
+  }
+  if (password.length > policy.maxLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password cannot exceed ${policy.maxLength} characters`,
+    });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_UPPERCASE',
+      message: 'Password must contain an uppercase letter',
+    });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_LOWERCASE',
+      message: 'Password must contain a lowercase letter',
+    });
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_NUMBER',
+      message: 'Password must contain a number',
+    });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_SYMBOL',
+      message: 'Password must contain a symbol',
+    });
+  }
+  if (policy.checkBreached && isCommonPassword(password)) {
+    violations.push({
+      code: 'PASSWORD_BREACHED',
+      message: 'This password is too common or has appeared in a data breach. Please choose another.',
+    });
+  }
+
+  return violations;
+};
+
+// Throws PasswordPolicyError if the password breaks the policy or, when a
+// user is given (loaded with +password +passwordHistory), was used recently.
+const assertPasswordAllowed = async (password, user = null) => {
+  const violations = checkPassword(password);
+
+  if (violations.length === 0 && user && (await user.isPasswordReused(password))) {
+    violations.push({
+      code: 'PASSWORD_REUSED',
+      message: `You can't reuse any of your last ${policy.historyCount} passwords`,
+    });
+  }
+
+  if (violations.length > 0) {
+    throw new PasswordPolicyError(violations);
+  }
+};
+
+// Rules for clients to show next to password fields
+const getPolicyRules = () => ({
+  minLength: policy.minLength,
+  maxLength: policy.maxLength,
+  requireUppercase: policy.requireUppercase,
+  requireLowercase: policy.requireLowercase,
+  requireNumber: policy.requireNumber,
+  requireSymbol: policy.requireSymbol,
+  historyCount: policy.historyCount,
+  checkBreached: policy.checkBreached,
+});
+
+module.exports = {
+  PasswordPolicyError,
+  checkPassword,
+  assertPasswordAllowed,
+  isCommonPassword,
+  getPolicyRules,
+};
@@ -0,0 +1,98 @@
+// ============================================
+// RATE LIMIT STORES
+// ============================================
+// A store counts hits per key in fixed windows. Both stores implement:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+
+// In-memory store - fine for a single Node process
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.name = 'memory';
+    this.hits = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+// MongoDB store - shares counters between multiple instances
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+    // Required lazily so the memory store works without the model loaded
+    this.RateLimit = require('../models/RateLimit');
+  }
+
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+
+    // Count towards the current window if there is one
+    const current = await this.RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (current) {
+      return { count: current.count, resetAt: current.resetAt };
+    }
+
+    // Otherwise start a new window
+    try {
+      const started = await this.RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+
+      return { count: started.count, resetAt: started.resetAt };
+    } catch (error) {
+      // Another instance started the window first - count towards it
+      if (error.code === 11000 && !retried) {
+        return this.increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  }
+
+  async reset(key) {
+    await this.RateLimit.deleteOne({ key });
+  }
+}
+
+// Pick the store from RATE_LIMIT_STORE (memory | mongo)
+const createStore = (type = process.env.RATE_LIMIT_STORE) => {
+  if (type === 'mongo') return new MongoStore();
+  return new MemoryStore();
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createStore,
+};
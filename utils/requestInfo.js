@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// ============================================
+// GET CLIENT IP ADDRESS
+// ============================================
+// req.ip honours X-Forwarded-For only for the proxy hops configured with
+// app.set('trust proxy') in server.js, so clients can't pick their own IP
+const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+};
+
+// ============================================
+// PARSE USER AGENT
+// ============================================
+const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+
+  // Browser (order matters - Edge/Opera also contain "Chrome")
+  let browser = 'Unknown Browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+  else if (/PostmanRuntime/.test(ua)) browser = 'Postman';
+  else if (/curl\//.test(ua)) browser = 'curl';
+
+  // Operating system
+  let os = 'Unknown OS';
+  if (/Windows/.test(ua)) os = 'Windows';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  // Device type
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua)) deviceType = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(ua)) deviceType = 'mobile';
+  else if (!ua || browser === 'Postman' || browser === 'curl') deviceType = 'unknown';
+
+  return {
+    browser,
+    os,
+    deviceType,
+    deviceName: `${browser} on ${os}`,
+  };
+};
+
+// ============================================
+// GET DEVICE ID
+// ============================================
+// Devices are identified by a random secret the server hands out in a
+// signed httpOnly cookie (loginService.identifyDevice). The id is the
+// secret's hash, so only the hash is ever stored and a client can't claim
+// another device's id. Null until the device has been given a secret.
+const DEVICE_COOKIE = 'deviceToken';
+
+const hashDeviceSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+const getDeviceId = (req) => {
+  // Set when the secret was issued during this request
+  if (req.deviceId) return req.deviceId;
+
+  const secret = req.signedCookies?.[DEVICE_COOKIE];
+  return secret && typeof secret === 'string' ? hashDeviceSecret(secret) : null;
+};
+
+// ============================================
+// GET DEVICE INFO FROM REQUEST
+// ============================================
+const getDeviceInfo = (req) => {
+  const userAgent = req.headers['user-agent'] || '';
+
+  return {
+    ...parseUserAgent(userAgent),
+    deviceId: getDeviceId(req),
+    userAgent,
+    ipAddress: getClientIp(req),
+  };
+};
+
+module.exports = {
+  DEVICE_COOKIE,
+  getClientIp,
+  parseUserAgent,
+  hashDeviceSecret,
+  getDeviceId,
+  getDeviceInfo,
+};
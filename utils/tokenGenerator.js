@@ -1,35 +1,105 @@
 const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const { DEVICE_COOKIE } = require('./requestInfo');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
   });
 };
 
-// Send token response (cookie + JSON)
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = generateToken(user._id);
+// Short-lived, single-purpose token for multi-step flows (e.g. 2FA login).
+// It carries no session id, so protect will never accept it as an access token.
+const generateChallengeToken = (id, purpose, expiresIn = '5m') => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
 
-  // Cookie options
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // HTTPS in production
-    sameSite: 'strict',
-  };
+// Returns the decoded payload, or null if invalid/expired/wrong purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cookie options
+const cookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // HTTPS in production
+  sameSite: 'strict',
+});
+
+// Set access + refresh cookies and send JSON
+const sendTokens = (res, statusCode, { token, refreshToken, expiresAt }, body = {}) => {
+  const { exp } = jwt.decode(token);
+
+  res
+    .status(statusCode)
+    .cookie('token', token, cookieOptions(new Date(exp * 1000)))
+    .cookie('refreshToken', refreshToken, {
+      ...cookieOptions(expiresAt),
+      path: '/api/auth',
+    })
+    .json({
+      success: true,
+      token,
+      refreshToken,
+      ...body,
+    });
+};
+
+// Send token response (cookie + JSON) - starts a new session and returns it
+const sendTokenResponse = async (user, statusCode, res) => {
+  // Create session (device + IP come from the request)
+  const session = await sessionService.createSession(user._id, res.req);
+  const token = generateToken(user._id, session.sessionId);
 
   // Remove password from output
   user.password = undefined;
 
-  res.status(statusCode).cookie('token', token, options).json({
-    success: true,
-    token,
+  sendTokens(res, statusCode, { token, ...session }, {
+    sessionId: session.sessionId,
     user,
   });
+
+  return session;
+};
+
+// Remember a device's secret (see loginService.identifyDevice). Signed so
+// the value can't be swapped, and kept across logouts.
+const DEVICE_COOKIE_DAYS = 365;
+
+const setDeviceCookie = (res, secret) => {
+  res.cookie(DEVICE_COOKIE, secret, {
+    ...cookieOptions(new Date(Date.now() + DEVICE_COOKIE_DAYS * 24 * 60 * 60 * 1000)),
+    signed: true,
+    path: '/api',
+  });
+};
+
+// Clear auth cookies (logout)
+const clearTokenCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.cookie('refreshToken', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+    path: '/api/auth',
+  });
 };
 
-module.exports = { generateToken, sendTokenResponse };
\ No newline at end of file
+module.exports = {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  sendTokens,
+  sendTokenResponse,
+  setDeviceCookie,
+  clearTokenCookies,
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults - what Google Authenticator, Authy, 1Password etc. expect
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// BASE32 (secrets are shared with authenticator apps in base32)
+// ============================================
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ============================================
+// GENERATE SECRET
+// ============================================
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// ============================================
+// GENERATE CODE FOR A TIME STEP (HOTP)
+// ============================================
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / PERIOD);
+};
+
+// ============================================
+// VERIFY CODE
+// ============================================
+// Accepts one step of clock drift either way. Returns the matched time step
+// (so callers can reject replays) or null.
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// ============================================
+// OTPAUTH URI (rendered as QR code by the frontend)
+// ============================================
+const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Nelly Korda') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  // Some authenticator apps don't decode '+' as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri,
+};